@@ -1,57 +1,170 @@
 import { useEffect, useMemo, useRef, useState } from "react";
+import { FieldInput, initialFieldValue, serializeFieldValue } from "./fields";
+import { LANGUAGES, useTranslation } from "./i18n";
+import MyApplications from "./MyApplications";
+import OfferComparison, { MAX_COMPARED_OFFERS } from "./OfferComparison";
+import SaveForLater from "./SaveForLater";
+import { fieldRules, validateStep } from "./validation";
 
 const EXTERNAL_ID_STORAGE_KEY = "journeyExternalId";
-const SELECTED_OFFER_STORAGE_KEY = "selectedOfferId";
+const SELECTED_OFFER_STORAGE_KEY = "selectedOffer";
+const JOURNEY_KEY_STORAGE_KEY = "journeyKey";
+const RESUME_LINK_PATH = /^\/resume\/([^/]+)\/?$/;
+const RESUME_LINK_ERRORS = ["RESUME_LINK_EXPIRED", "INVALID_RESUME_LINK"];
+const AUTOSAVE_DELAY_MS = 1500;
 
 function buildValuesFromStep(step, formValues) {
   const fields = step?.fields || [];
   return fields.map((field) => ({
     attribute: field.name,
-    value: formValues[field.name] ?? "",
+    value: serializeFieldValue(field, formValues[field.name]),
   }));
 }
 
+function readStoredOffer() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SELECTED_OFFER_STORAGE_KEY));
+  } catch (_e) {
+    return null;
+  }
+}
+
+function cardKey(card) {
+  return `${card.offerId}-${card.cardId}`;
+}
+
+function isSameCard(selection, card) {
+  return (
+    selection?.offerId === card.offerId && selection?.cardId === card.cardId
+  );
+}
+
+function formatTime(culture, value) {
+  return new Intl.DateTimeFormat(culture, { timeStyle: "short" }).format(
+    new Date(value),
+  );
+}
+
+function fieldErrorsForStep(step, errorsByField) {
+  const errors = {};
+  for (const field of step?.fields || []) {
+    if (errorsByField?.[field.name]) {
+      errors[field.name] = errorsByField[field.name];
+    }
+  }
+  return errors;
+}
+
 function App() {
+  const { culture, setCulture, t } = useTranslation();
   const [externalId, setExternalId] = useState("");
   const [metadata, setMetadata] = useState(null);
+  const [journeys, setJourneys] = useState([]);
+  const [journeyKey, setJourneyKey] = useState(
+    () => sessionStorage.getItem(JOURNEY_KEY_STORAGE_KEY) || "",
+  );
   const [step, setStep] = useState(null);
   const [formValues, setFormValues] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
   const [offersLoading, setOffersLoading] = useState(false);
   const [offersError, setOffersError] = useState("");
+  const [offersWarnings, setOffersWarnings] = useState([]);
   const [offerCards, setOfferCards] = useState([]);
-  const [selectedOfferId, setSelectedOfferId] = useState(
-    () => sessionStorage.getItem(SELECTED_OFFER_STORAGE_KEY) || "",
-  );
+  const [comparedCardKeys, setComparedCardKeys] = useState([]);
+  const [selectedOffer, setSelectedOffer] = useState(readStoredOffer);
+  const [offerSelectionAttribute, setOfferSelectionAttribute] = useState("");
+  const [auth, setAuth] = useState(null);
+  const [view, setView] = useState("journey");
+  const [draft, setDraft] = useState({ step: null, status: "", savedAt: null });
   const actionInFlightRef = useRef(false);
+  const draftDirtyRef = useRef(false);
+  const draftTimerRef = useRef(null);
   const initializedRef = useRef(false);
+  const cultureRef = useRef(culture);
+
+  function jsonHeaders() {
+    return {
+      "Content-Type": "application/json",
+      "Accept-Language": culture,
+    };
+  }
+
   const isLastStep = Boolean(step?.isLastStep);
 
-  async function startNewJourney() {
+  function errorMessage(payload, fallbackKey) {
+    if (payload?.code === "UPSTREAM_UNAVAILABLE") {
+      return t("errors.unavailable");
+    }
+    if (payload?.code === "LOGIN_REQUIRED") {
+      return t("auth.requiredPrompt");
+    }
+    if (payload?.code === "LOGIN_EXPIRED") {
+      return t("auth.expired");
+    }
+    return payload?.message || t(fallbackKey);
+  }
+
+  function signIn() {
+    window.location.assign(
+      `/api/auth/login?returnTo=${encodeURIComponent(window.location.pathname)}`,
+    );
+  }
+
+  async function signOut() {
+    if (actionInFlightRef.current) {
+      return;
+    }
+
+    try {
+      actionInFlightRef.current = true;
+      setLoading(true);
+      setError("");
+
+      const response = await fetch("/api/auth/logout", { method: "POST" });
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(errorMessage(payload, "errors.signOut"));
+      }
+
+      sessionStorage.removeItem(EXTERNAL_ID_STORAGE_KEY);
+      sessionStorage.removeItem(SELECTED_OFFER_STORAGE_KEY);
+      window.location.assign(payload?.logoutUrl || "/");
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      actionInFlightRef.current = false;
+      setLoading(false);
+    }
+  }
+
+  async function startNewJourney(nextJourneyKey = journeyKey) {
     setLoading(true);
     setError("");
     setOffersError("");
     setOfferCards([]);
-    setSelectedOfferId("");
+    setSelectedOffer(null);
+    cancelDraftSave();
     setFormValues({});
+    setFieldErrors({});
 
     sessionStorage.removeItem(EXTERNAL_ID_STORAGE_KEY);
     sessionStorage.removeItem(SELECTED_OFFER_STORAGE_KEY);
 
     const response = await fetch("/api/journey/init", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({}),
+      headers: jsonHeaders(),
+      body: JSON.stringify({ journeyKey: nextJourneyKey || undefined }),
     });
 
     const payload = await response.json();
     if (!response.ok) {
-      throw new Error(
-        payload?.details || payload?.message || "Restart journey failed",
-      );
+      throw new Error(errorMessage(payload, "errors.restart"));
     }
 
+    setJourneyKey(payload.journeyKey);
+    sessionStorage.setItem(JOURNEY_KEY_STORAGE_KEY, payload.journeyKey);
     setExternalId(payload.externalId);
     setMetadata(payload.metadata);
     setStep(payload.step);
@@ -64,32 +177,76 @@ function App() {
     }
     initializedRef.current = true;
 
+    async function loadJourneys() {
+      try {
+        const response = await fetch("/api/journeys");
+        const payload = await response.json();
+        if (response.ok && Array.isArray(payload.journeys)) {
+          setJourneys(payload.journeys);
+        }
+      } catch (_e) {
+        setJourneys([]);
+      }
+    }
+
+    async function loadAuth() {
+      try {
+        const response = await fetch("/api/auth/me");
+        const payload = await response.json();
+        if (response.ok) {
+          setAuth(payload);
+          return payload;
+        }
+      } catch (_e) {
+        // Login is optional; the journey still runs without it.
+      }
+      return null;
+    }
+
     async function initJourney() {
       try {
         setLoading(true);
         setError("");
 
-        const storedExternalId = sessionStorage.getItem(
-          EXTERNAL_ID_STORAGE_KEY,
-        );
-        if (storedExternalId) {
-          const loadResponse = await fetch("/api/journey/load-step", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ externalId: storedExternalId }),
-          });
+        const params = new URLSearchParams(window.location.search);
+        if (params.has("loginError")) {
+          setError(t("auth.loginFailed"));
+          params.delete("loginError");
+          const query = params.toString();
+          window.history.replaceState(
+            null,
+            "",
+            `${window.location.pathname}${query ? `?${query}` : ""}`,
+          );
+        }
 
-          const loadPayload = await loadResponse.json();
-          if (loadResponse.ok) {
-            setExternalId(storedExternalId);
-            setStep(loadPayload);
+        const currentAuth = await loadAuth();
+
+        let linkError = "";
+        const resumeToken =
+          window.location.pathname.match(RESUME_LINK_PATH)?.[1];
+        if (resumeToken) {
+          const { ok, payload } = await resumeFromLink(resumeToken);
+          // The link stays in the address bar so signing in comes back to it.
+          if (payload?.code === "LOGIN_REQUIRED") {
+            setError(errorMessage(payload, "errors.resume"));
             return;
           }
-
-          sessionStorage.removeItem(EXTERNAL_ID_STORAGE_KEY);
+          window.history.replaceState(null, "", "/");
+          if (ok) {
+            return;
+          }
+          linkError = RESUME_LINK_ERRORS.includes(payload?.code)
+            ? t("errors.resumeLink")
+            : errorMessage(payload, "errors.resume");
         }
 
-        await startNewJourney();
+        if (!currentAuth?.required || currentAuth.user) {
+          await continueOrStartJourney();
+        }
+        if (linkError) {
+          setError(linkError);
+        }
       } catch (e) {
         setError(e.message);
       } finally {
@@ -97,6 +254,67 @@ function App() {
       }
     }
 
+    async function resumeFromLink(token) {
+      const response = await fetch("/api/journey/resume", {
+        method: "POST",
+        headers: jsonHeaders(),
+        body: JSON.stringify({ token }),
+      });
+
+      const payload = await response.json();
+      if (response.ok) {
+        applyResumedJourney(payload);
+      }
+      return { ok: response.ok, payload };
+    }
+
+    async function continueOrStartJourney() {
+      const storedExternalId = sessionStorage.getItem(EXTERNAL_ID_STORAGE_KEY);
+      if (storedExternalId) {
+        const loadResponse = await fetch("/api/journey/load-step", {
+          method: "POST",
+          headers: jsonHeaders(),
+          body: JSON.stringify({ externalId: storedExternalId }),
+        });
+
+        const loadPayload = await loadResponse.json();
+        if (loadResponse.ok) {
+          setExternalId(storedExternalId);
+          setStep(loadPayload);
+          await restoreDraft(storedExternalId, loadPayload);
+          return;
+        }
+
+        sessionStorage.removeItem(EXTERNAL_ID_STORAGE_KEY);
+      }
+
+      await startNewJourney();
+    }
+
+    async function restoreDraft(storedExternalId, storedStep) {
+      try {
+        const response = await fetch(
+          `/api/journey/draft?externalId=${encodeURIComponent(storedExternalId)}`,
+        );
+        const payload = await response.json();
+        const stepName = storedStep.journeyStep ?? null;
+        if (response.ok && payload.draft && payload.draft.step === stepName) {
+          setFormValues((previous) => ({
+            ...previous,
+            ...payload.draft.values,
+          }));
+          setDraft({
+            step: stepName,
+            status: "restored",
+            savedAt: payload.draft.savedAt,
+          });
+        }
+      } catch (_e) {
+        // Without the draft the step starts from the values FintechOS stored.
+      }
+    }
+
+    loadJourneys();
     initJourney();
   }, []);
 
@@ -109,104 +327,205 @@ function App() {
       const next = { ...previous };
       for (const field of step.fields) {
         if (next[field.name] === undefined) {
-          next[field.name] = field.value ?? "";
+          next[field.name] = initialFieldValue(field);
         }
       }
       return next;
     });
   }, [step]);
 
+  useEffect(() => {
+    const firstInvalidField = (step?.fields || []).find(
+      (field) => fieldErrors[field.name],
+    );
+    if (firstInvalidField) {
+      document.getElementById(firstInvalidField.name)?.focus();
+    }
+  }, [fieldErrors]);
+
+  useEffect(() => {
+    if (!draftDirtyRef.current || !externalId || !step) {
+      return undefined;
+    }
+
+    draftTimerRef.current = setTimeout(saveDraft, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(draftTimerRef.current);
+  }, [formValues]);
+
+  // Values that are being submitted, or thrown away, need no draft.
+  function cancelDraftSave() {
+    draftDirtyRef.current = false;
+    clearTimeout(draftTimerRef.current);
+  }
+
+  async function saveDraft() {
+    const stepName = step.journeyStep ?? null;
+    draftDirtyRef.current = false;
+    setDraft((previous) => ({ ...previous, step: stepName, status: "saving" }));
+
+    try {
+      const response = await fetch("/api/journey/draft", {
+        method: "PUT",
+        headers: jsonHeaders(),
+        body: JSON.stringify({
+          externalId,
+          step: stepName,
+          values: Object.fromEntries(
+            (step.fields || []).map((field) => [
+              field.name,
+              formValues[field.name],
+            ]),
+          ),
+        }),
+      });
+
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload?.message);
+      }
+
+      setDraft({ step: stepName, status: "saved", savedAt: payload.savedAt });
+    } catch (_e) {
+      setDraft({ step: stepName, status: "error", savedAt: null });
+    }
+  }
+
   const showNext = Boolean(step?.properties?.nextButton?.show);
   const showPrevious = Boolean(step?.properties?.previousButton?.show);
 
   const stepTitle = useMemo(() => {
-    if (!step?.journeyStep) return "Step";
+    if (!step?.journeyStep) return t("journey.step");
     return step.journeyStep.split("-")[0];
-  }, [step]);
+  }, [step, t]);
   const isOffersStep = stepTitle.toLowerCase() === "offers";
 
-  useEffect(() => {
-    async function loadOffers() {
-      try {
-        setOffersLoading(true);
-        setOffersError("");
-        setOfferCards([]);
+  async function loadOffers() {
+    try {
+      setOffersLoading(true);
+      setOffersError("");
+      setOffersWarnings([]);
+      setOfferCards([]);
 
-        const response = await fetch("/api/offers/available", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({}),
-        });
+      const response = await fetch("/api/offers/available", {
+        method: "POST",
+        headers: jsonHeaders(),
+        body: JSON.stringify({}),
+      });
 
-        const payload = await response.json();
-        if (!response.ok) {
-          throw new Error(
-            payload?.details || payload?.message || "Load offers failed",
-          );
-        }
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(errorMessage(payload, "errors.loadOffers"));
+      }
 
-        const offers = Array.isArray(payload.offers) ? payload.offers : [];
-        const cards = [];
-        for (const offer of offers) {
-          const detailCards = Array.isArray(offer.cards) ? offer.cards : [];
-          for (const card of detailCards) {
-            cards.push({
-              offerId: offer.offerId,
-              offerCode: offer.offerCode || "",
-              cardId: card.cardId,
-              cardTitle: card.cardTitle || offer.offerName || "Offer",
-              description: card.description || "",
-              benefits: Array.isArray(card.benefits) ? card.benefits : [],
-            });
-          }
+      const offers = Array.isArray(payload.offers) ? payload.offers : [];
+      const cards = [];
+      for (const offer of offers) {
+        const detailCards = Array.isArray(offer.cards) ? offer.cards : [];
+        for (const card of detailCards) {
+          cards.push({
+            offerId: offer.offerId,
+            offerCode: offer.offerCode || "",
+            offerName: offer.offerName || "",
+            cardId: card.cardId,
+            cardTitle: card.cardTitle || offer.offerName || t("offers.offer"),
+            description: card.description || "",
+            benefits: Array.isArray(card.benefits) ? card.benefits : [],
+            eligible: offer.eligible !== false,
+            ineligibleReasons: Array.isArray(offer.ineligibleReasons)
+              ? offer.ineligibleReasons
+              : [],
+            pricing: offer.pricing || null,
+            fees: Array.isArray(offer.fees) ? offer.fees : [],
+            interestRates: Array.isArray(offer.interestRates)
+              ? offer.interestRates
+              : [],
+            validFrom: offer.validFrom || null,
+            validTo: offer.validTo || null,
+            terms: Array.isArray(offer.terms) ? offer.terms : [],
+          });
         }
+      }
 
-        setOfferCards(cards);
+      setOfferCards(cards);
+      setOffersWarnings(
+        Array.isArray(payload.warnings) ? payload.warnings : [],
+      );
+      setComparedCardKeys((previous) =>
+        previous.filter((key) => cards.some((card) => cardKey(card) === key)),
+      );
+      setOfferSelectionAttribute(payload.selectionAttribute || "");
 
-        const storedSelectedOfferId =
-          sessionStorage.getItem(SELECTED_OFFER_STORAGE_KEY) || "";
-        const hasStoredOffer = cards.some(
-          (card) => card.offerId === storedSelectedOfferId,
-        );
-        if (hasStoredOffer) {
-          setSelectedOfferId(storedSelectedOfferId);
-        } else {
-          setSelectedOfferId("");
-          sessionStorage.removeItem(SELECTED_OFFER_STORAGE_KEY);
-        }
-      } catch (e) {
-        setOffersError(e.message);
-      } finally {
-        setOffersLoading(false);
+      const storedOffer = readStoredOffer();
+      if (
+        cards.some((card) => card.eligible && isSameCard(storedOffer, card))
+      ) {
+        setSelectedOffer(storedOffer);
+      } else {
+        onSelectOffer(null);
       }
+    } catch (e) {
+      setOffersError(e.message);
+    } finally {
+      setOffersLoading(false);
     }
+  }
 
+  useEffect(() => {
     if (isOffersStep) {
       loadOffers();
     } else {
       setOffersLoading(false);
       setOffersError("");
+      setOffersWarnings([]);
       setOfferCards([]);
     }
-  }, [isOffersStep]);
+  }, [isOffersStep, culture]);
+
+  function onSelectOffer(card) {
+    const selection = card
+      ? {
+          offerId: card.offerId,
+          offerCode: card.offerCode,
+          cardId: card.cardId,
+        }
+      : null;
+    setSelectedOffer(selection);
+    if (selection) {
+      sessionStorage.setItem(
+        SELECTED_OFFER_STORAGE_KEY,
+        JSON.stringify(selection),
+      );
+    } else {
+      sessionStorage.removeItem(SELECTED_OFFER_STORAGE_KEY);
+    }
+  }
 
-  function onSelectOffer(offerId) {
-    setSelectedOfferId(offerId);
-    sessionStorage.setItem(SELECTED_OFFER_STORAGE_KEY, offerId);
+  function onToggleCompare(card) {
+    const key = cardKey(card);
+    setComparedCardKeys((previous) => {
+      if (previous.includes(key)) {
+        return previous.filter((compared) => compared !== key);
+      }
+      return previous.length < MAX_COMPARED_OFFERS
+        ? [...previous, key]
+        : previous;
+    });
   }
 
+  const comparedCards = comparedCardKeys
+    .map((key) => offerCards.find((card) => cardKey(card) === key))
+    .filter(Boolean);
+
   async function reloadStep(targetExternalId = externalId) {
     const response = await fetch("/api/journey/load-step", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: jsonHeaders(),
       body: JSON.stringify({ externalId: targetExternalId }),
     });
 
     const payload = await response.json();
     if (!response.ok) {
-      throw new Error(
-        payload?.details || payload?.message || "Load step failed",
-      );
+      throw new Error(errorMessage(payload, "errors.loadStep"));
     }
 
     setStep(payload);
@@ -221,20 +540,53 @@ function App() {
       actionInFlightRef.current = true;
       setLoading(true);
       setError("");
+      setFieldErrors({});
+
+      if (action === "next") {
+        const clientFieldErrors = validateStep(step, formValues, culture);
+        if (Object.keys(clientFieldErrors).length > 0) {
+          setFieldErrors(clientFieldErrors);
+          return;
+        }
+        if (isOffersStep && !selectedOffer) {
+          setError(t("offers.required"));
+          return;
+        }
+      }
 
+      cancelDraftSave();
       const values = buildValuesFromStep(step, formValues);
+      if (action === "next" && isOffersStep && offerSelectionAttribute) {
+        values.push({
+          attribute: offerSelectionAttribute,
+          value: JSON.stringify(selectedOffer),
+        });
+      }
 
       const response = await fetch(`/api/journey/${action}`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: jsonHeaders(),
         body: JSON.stringify({ externalId, values }),
       });
 
       const payload = await response.json();
       if (!response.ok) {
-        throw new Error(
-          payload?.details || payload?.message || `${action} failed`,
+        if (payload?.errorsByField?.[offerSelectionAttribute]) {
+          onSelectOffer(null);
+          setError(payload.errorsByField[offerSelectionAttribute]);
+          return;
+        }
+
+        const stepFieldErrors = fieldErrorsForStep(
+          step,
+          payload?.errorsByField,
         );
+        if (Object.keys(stepFieldErrors).length > 0) {
+          setFieldErrors(stepFieldErrors);
+          return;
+        }
+
+        throw new Error(errorMessage(payload, `errors.${action}`));
       }
 
       const nextExternalId = payload?.externalId || externalId;
@@ -254,14 +606,60 @@ function App() {
     }
   }
 
-  async function restartJourney() {
+  async function restartJourney(nextJourneyKey = journeyKey) {
     if (actionInFlightRef.current) {
       return;
     }
 
     try {
       actionInFlightRef.current = true;
-      await startNewJourney();
+      await startNewJourney(nextJourneyKey);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      actionInFlightRef.current = false;
+      setLoading(false);
+    }
+  }
+
+  function applyResumedJourney(payload) {
+    setOffersError("");
+    setOfferCards([]);
+    cancelDraftSave();
+    setFormValues({});
+    setFieldErrors({});
+    onSelectOffer(payload.selectedOffer || null);
+
+    setJourneyKey(payload.journeyKey);
+    sessionStorage.setItem(JOURNEY_KEY_STORAGE_KEY, payload.journeyKey);
+    setExternalId(payload.externalId);
+    sessionStorage.setItem(EXTERNAL_ID_STORAGE_KEY, payload.externalId);
+    setStep(payload.step);
+    setView("journey");
+  }
+
+  async function resumeApplication(application) {
+    if (actionInFlightRef.current) {
+      return;
+    }
+
+    try {
+      actionInFlightRef.current = true;
+      setLoading(true);
+      setError("");
+
+      const response = await fetch("/api/journey/resume", {
+        method: "POST",
+        headers: jsonHeaders(),
+        body: JSON.stringify({ externalId: application.externalId }),
+      });
+
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(errorMessage(payload, "errors.resume"));
+      }
+
+      applyResumedJourney(payload);
     } catch (e) {
       setError(e.message);
     } finally {
@@ -270,11 +668,69 @@ function App() {
     }
   }
 
+  async function uploadDocument(field, file) {
+    const form = new FormData();
+    form.append("externalId", externalId);
+    form.append("attribute", field.name);
+    form.append("file", file);
+
+    const response = await fetch("/api/journey/documents", {
+      method: "POST",
+      headers: { "Accept-Language": culture },
+      body: form,
+    });
+
+    const payload = await response.json();
+    if (!response.ok) {
+      throw new Error(errorMessage(payload, "errors.upload"));
+    }
+
+    return payload;
+  }
+
+  // A step loading when the language changes comes back in the old one, so
+  // the reload waits for it to settle.
+  useEffect(() => {
+    if (cultureRef.current === culture || loading) {
+      return;
+    }
+    cultureRef.current = culture;
+
+    async function reloadInCulture() {
+      if (!externalId) {
+        return;
+      }
+
+      try {
+        actionInFlightRef.current = true;
+        setLoading(true);
+        setError("");
+        setFieldErrors({});
+        await reloadStep();
+      } catch (e) {
+        setError(e.message);
+      } finally {
+        actionInFlightRef.current = false;
+        setLoading(false);
+      }
+    }
+
+    reloadInCulture();
+  }, [culture, loading]);
+
   function onFieldChange(name, value) {
+    draftDirtyRef.current = true;
     setFormValues((previous) => ({
       ...previous,
       [name]: value,
     }));
+    setFieldErrors((previous) => {
+      if (!previous[name]) {
+        return previous;
+      }
+      const { [name]: _removed, ...rest } = previous;
+      return rest;
+    });
   }
 
   return (
@@ -288,18 +744,83 @@ function App() {
               className="h-8 w-auto"
             />
             <span className="text-lg font-semibold text-gray-800">
-              External Journey
+              {t("app.title")}
             </span>
           </div>
+          <div className="flex items-center gap-3">
+            {auth?.enabled &&
+              (auth.user ? (
+                <>
+                  <button
+                    type="button"
+                    className="text-sm text-blue-600 hover:underline"
+                    onClick={() =>
+                      setView(
+                        view === "applications" ? "journey" : "applications",
+                      )
+                    }
+                  >
+                    {view === "applications"
+                      ? t("applications.back")
+                      : t("applications.title")}
+                  </button>
+                  <span className="text-sm text-gray-600">
+                    {auth.user.name || auth.user.email}
+                  </span>
+                  <button
+                    type="button"
+                    className="rounded-md border border-gray-300 px-2 py-1 text-sm text-gray-700 hover:bg-gray-100"
+                    onClick={signOut}
+                    disabled={loading}
+                  >
+                    {t("auth.signOut")}
+                  </button>
+                </>
+              ) : (
+                <button
+                  type="button"
+                  className="rounded-md bg-blue-600 px-3 py-1 text-sm text-white hover:bg-blue-700"
+                  onClick={signIn}
+                >
+                  {t("auth.signIn")}
+                </button>
+              ))}
+            <select
+              aria-label={t("app.language")}
+              className="rounded-md border border-gray-300 bg-white px-2 py-1 text-sm text-gray-700"
+              value={culture}
+              onChange={(e) => setCulture(e.target.value)}
+              disabled={loading}
+            >
+              {LANGUAGES.map((language) => (
+                <option key={language.culture} value={language.culture}>
+                  {language.label}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
       </header>
 
       <main className="flex-1 flex items-center justify-center px-4">
         <div className="w-full max-w-2xl bg-white rounded-2xl shadow-xl p-8 flex flex-col">
           <div className="">
-            {loading && !step ? (
+            {view === "applications" ? (
+              <MyApplications onResume={resumeApplication} disabled={loading} />
+            ) : auth?.required && !auth.user ? (
+              <div className="text-center">
+                <p className="mb-4 text-gray-700">{t("auth.requiredPrompt")}</p>
+                <button
+                  type="button"
+                  className="px-6 py-2.5 rounded-xl bg-blue-600 text-white font-medium hover:bg-blue-700 transition"
+                  onClick={signIn}
+                >
+                  {t("auth.signIn")}
+                </button>
+              </div>
+            ) : loading && !step ? (
               <div className="font-medium text-blue-600">
-                Loading journey...
+                {t("journey.loading")}
               </div>
             ) : (
               step && (
@@ -308,34 +829,93 @@ function App() {
                     {stepTitle}
                   </h1>
 
+                  {draft.status &&
+                    draft.step === (step.journeyStep ?? null) && (
+                      <p
+                        className="-mt-4 mb-4 text-center text-xs text-gray-500"
+                        aria-live="polite"
+                      >
+                        {draft.status === "saving"
+                          ? t("draft.saving")
+                          : draft.status === "error"
+                            ? t("draft.error")
+                            : t(`draft.${draft.status}`, {
+                                time: formatTime(culture, draft.savedAt),
+                              })}
+                      </p>
+                    )}
+
                   {(step.fields || []).length === 0 && !isOffersStep && (
                     <p className="font-medium trxt-gray-800 text-center">
-                      No fields on this step.
+                      {t("journey.noFields")}
                     </p>
                   )}
 
                   {isOffersStep && (
                     <div className="offers">
-                      {offersLoading && <p>Loading offers...</p>}
+                      {offersLoading && <p>{t("offers.loading")}</p>}
                       {offersError && (
-                        <p className="error">Offers error: {offersError}</p>
+                        <div>
+                          <p className="error">
+                            {t("offers.error", { message: offersError })}
+                          </p>
+                          <button
+                            type="button"
+                            onClick={loadOffers}
+                            disabled={offersLoading}
+                            className="mt-2 rounded-lg border border-slate-300 px-3 py-1 text-sm"
+                          >
+                            {t("offers.retry")}
+                          </button>
+                        </div>
+                      )}
+
+                      {!offersLoading && offersWarnings.length > 0 && (
+                        <div className="mt-2 rounded-lg border border-amber-300 bg-amber-50 p-3 text-sm text-amber-900">
+                          <p>
+                            {t("offers.partial", {
+                              count: offersWarnings.length,
+                            })}
+                          </p>
+                          <ul className="mt-1 list-disc pl-5">
+                            {offersWarnings.map((warning) => (
+                              <li key={warning.offerId}>
+                                {warning.offerName || warning.offerId}
+                              </li>
+                            ))}
+                          </ul>
+                          <button
+                            type="button"
+                            onClick={loadOffers}
+                            className="mt-2 rounded-lg border border-amber-400 px-3 py-1"
+                          >
+                            {t("offers.retry")}
+                          </button>
+                        </div>
                       )}
 
                       {!offersLoading &&
                         !offersError &&
-                        offerCards.length === 0 && <p>No available offers.</p>}
+                        offerCards.length === 0 && <p>{t("offers.empty")}</p>}
 
                       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
                         {offerCards.map((offer) => {
-                          const isSelected = selectedOfferId === offer.offerId;
+                          const isSelected = isSameCard(selectedOffer, offer);
+                          const isCompared = comparedCardKeys.includes(
+                            cardKey(offer),
+                          );
                           return (
                             <div
-                              key={`${offer.offerId}-${offer.cardId}`}
+                              key={cardKey(offer)}
                               className={`
                               flex flex-col
                               rounded-2xl border bg-white p-6
                               transition-all duration-300
-                              hover:shadow-xl hover:-translate-y-1
+                              ${
+                                offer.eligible
+                                  ? "hover:shadow-xl hover:-translate-y-1"
+                                  : "opacity-60"
+                              }
                               ${
                                 isSelected
                                   ? "border-blue-600 ring-2 ring-blue-100 shadow-lg"
@@ -364,26 +944,68 @@ function App() {
                                   </li>
                                 ))}
                               </ul>
+                              {!offer.eligible && (
+                                <ul className="mb-3 space-y-1 text-sm text-amber-700">
+                                  {offer.ineligibleReasons.map((reason) => (
+                                    <li key={reason}>{reason}</li>
+                                  ))}
+                                </ul>
+                              )}
                               <div className="mt-auto">
+                                <label className="mb-3 inline-flex items-center gap-2 text-sm text-gray-700">
+                                  <input
+                                    type="checkbox"
+                                    checked={isCompared}
+                                    onChange={() => onToggleCompare(offer)}
+                                    disabled={
+                                      !isCompared &&
+                                      comparedCardKeys.length >=
+                                        MAX_COMPARED_OFFERS
+                                    }
+                                    className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                  />
+                                  {t("offers.compare")}
+                                </label>
                                 <button
                                   type="button"
-                                  onClick={() => onSelectOffer(offer.offerId)}
+                                  onClick={() => onSelectOffer(offer)}
+                                  disabled={!offer.eligible}
                                   className={`
                                       w-full rounded-xl py-2.5 font-medium transition
                                       ${
                                         isSelected
                                           ? "bg-blue-600 text-white hover:bg-blue-700"
-                                          : "bg-gray-900 text-white hover:bg-black"
+                                          : "bg-gray-900 text-white hover:bg-black disabled:cursor-not-allowed disabled:bg-gray-400"
                                       }
                                     `}
                                 >
-                                  {isSelected ? "Selected" : "Select"}
+                                  {!offer.eligible
+                                    ? t("offers.notEligible")
+                                    : isSelected
+                                      ? t("offers.selected")
+                                      : t("offers.select")}
                                 </button>
                               </div>
                             </div>
                           );
                         })}
                       </div>
+
+                      {comparedCards.length === 1 && (
+                        <p className="mt-4 text-sm text-gray-500">
+                          {t("offers.compareHint", {
+                            max: MAX_COMPARED_OFFERS,
+                          })}
+                        </p>
+                      )}
+                      {comparedCards.length > 1 && (
+                        <OfferComparison
+                          offers={comparedCards}
+                          isSelected={(card) => isSameCard(selectedOffer, card)}
+                          onSelect={onSelectOffer}
+                          onRemove={onToggleCompare}
+                        />
+                      )}
                     </div>
                   )}
 
@@ -394,56 +1016,26 @@ function App() {
                         className="block text-sm font-medium text-gray-700 mb-1"
                       >
                         {field.displayName || field.name}
+                        {fieldRules(field).required && (
+                          <span className="ml-0.5 text-red-600">*</span>
+                        )}
                       </label>
 
-                      {field.type === "optionset" &&
-                      Array.isArray(field.optionSetValues) ? (
-                        <div class="relative w-full">
-                          <select
-                            id={field.name}
-                            value={formValues[field.name] ?? ""}
-                            onChange={(e) =>
-                              onFieldChange(field.name, e.target.value)
-                            }
-                            disabled={field.isReadOnly}
-                            class="w-full appearance-none border border-gray-300 rounded-lg
-           px-3 pr-10 py-2 bg-white
-           focus:ring-2 focus:ring-blue-500 focus:outline-none"
-                          >
-                            <option value="">Select...</option>
-                            {field.optionSetValues.map((option) => (
-                              <option key={option.id} value={option.id}>
-                                {option.displayName}
-                              </option>
-                            ))}
-                            <div class="pointer-events-none absolute inset-y-0 right-3 flex items-center text-gray-400">
-                              <svg
-                                class="w-4 h-4"
-                                fill="none"
-                                stroke="currentColor"
-                                stroke-width="2"
-                                viewBox="0 0 24 24"
-                              >
-                                <path
-                                  stroke-linecap="round"
-                                  stroke-linejoin="round"
-                                  d="M19 9l-7 7-7-7"
-                                />
-                              </svg>
-                            </div>
-                          </select>
-                        </div>
-                      ) : (
-                        <input
-                          id={field.name}
-                          type="text"
-                          value={formValues[field.name] ?? ""}
-                          onChange={(e) =>
-                            onFieldChange(field.name, e.target.value)
-                          }
-                          disabled={field.isReadOnly}
-                          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:outline-none"
-                        />
+                      <FieldInput
+                        field={field}
+                        value={formValues[field.name]}
+                        onChange={(value) => onFieldChange(field.name, value)}
+                        onUpload={uploadDocument}
+                        error={fieldErrors[field.name]}
+                      />
+
+                      {fieldErrors[field.name] && (
+                        <p
+                          id={`${field.name}-error`}
+                          className="mt-1 text-sm text-red-600"
+                        >
+                          {fieldErrors[field.name]}
+                        </p>
                       )}
                     </div>
                   ))}
@@ -455,35 +1047,47 @@ function App() {
                         onClick={() => go("previous")}
                         disabled={loading}
                       >
-                        Previous
+                        {t("journey.previous")}
                       </button>
                     )}
 
                     {showNext && (
                       <button
-                        className="px-6 py-2.5 rounded-xl bg-blue-600 text-white font-medium hover:bg-blue-700 transition"
+                        className="px-6 py-2.5 rounded-xl bg-blue-600 text-white font-medium hover:bg-blue-700 transition disabled:cursor-not-allowed disabled:opacity-50"
                         onClick={() => go("next")}
-                        disabled={loading}
+                        disabled={loading || (isOffersStep && !selectedOffer)}
                       >
-                        Next
+                        {t("journey.next")}
                       </button>
                     )}
 
                     {isLastStep && (
                       <button
                         className="px-6 py-2.5 rounded-xl bg-blue-600 text-white font-medium hover:bg-blue-700 transition"
-                        onClick={restartJourney}
+                        onClick={() => restartJourney()}
                         disabled={loading}
                       >
-                        Start New Journey
+                        {t("journey.startNew")}
                       </button>
                     )}
                   </div>
+
+                  {!isLastStep && externalId && (
+                    <SaveForLater
+                      key={externalId}
+                      externalId={externalId}
+                      selectedOffer={selectedOffer}
+                      defaultEmail={auth?.user?.email}
+                      disabled={loading}
+                    />
+                  )}
                 </div>
               )
             )}
 
-            {error && <p className="error">Error: {error}</p>}
+            {error && (
+              <p className="error">{t("app.error", { message: error })}</p>
+            )}
           </div>
         </div>
       </main>
@@ -492,18 +1096,35 @@ function App() {
         <div className="max-w-7xl mx-auto px-6 py-4">
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-600">
             <div>
-              <span className="font-medium text-gray-700">Journey Name:</span>
-
-              <span className="ml-1 font-mono">
-                {" "}
-                {metadata?.journeyName
-                  ? metadata.journeyName
-                  : "externalJourneyExample"}
+              <span className="font-medium text-gray-700">
+                {t("app.journeyName")}
               </span>
+
+              {journeys.length > 1 ? (
+                <select
+                  id="journey_key"
+                  aria-label={t("app.journey")}
+                  className="ml-1 rounded-md border border-gray-300 bg-white px-2 py-0.5 text-sm"
+                  value={journeyKey}
+                  onChange={(e) => restartJourney(e.target.value)}
+                  disabled={loading}
+                >
+                  {journeys.map((journey) => (
+                    <option key={journey.key} value={journey.key}>
+                      {journey.name}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <span className="ml-1 font-mono">
+                  {" "}
+                  {journeys[0]?.name || metadata?.journeyName || journeyKey}
+                </span>
+              )}
             </div>
             <div>
               <span className="font-medium text-gray-700">
-                External Journey ID:
+                {t("app.externalJourneyId")}
               </span>
               {externalId && (
                 <span
@@ -515,7 +1136,7 @@ function App() {
               )}
             </div>
           </div>
-          <div className="mt-3 text-xs text-gray-400">Powered by FintechOS</div>
+          <div className="mt-3 text-xs text-gray-400">{t("app.poweredBy")}</div>
         </div>
       </footer>
     </div>
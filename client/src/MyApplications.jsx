@@ -0,0 +1,84 @@
+import { useEffect, useState } from "react";
+import { useTranslation } from "./i18n";
+
+function formatDateTime(culture, value) {
+  return value
+    ? new Intl.DateTimeFormat(culture, {
+        dateStyle: "medium",
+        timeStyle: "short",
+      }).format(new Date(value))
+    : "";
+}
+
+function MyApplications({ onResume, disabled }) {
+  const { culture, t } = useTranslation();
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    async function loadApplications() {
+      try {
+        const response = await fetch("/api/applications");
+        const payload = await response.json();
+        if (!response.ok) {
+          throw new Error(payload?.message || t("errors.loadApplications"));
+        }
+        setApplications(
+          Array.isArray(payload.applications) ? payload.applications : [],
+        );
+      } catch (e) {
+        setError(e.message);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    loadApplications();
+  }, []);
+
+  return (
+    <div>
+      <h1 className="text-2xl font-semibold text-gray-800 text-center mb-6">
+        {t("applications.title")}
+      </h1>
+
+      {loading && <p>{t("applications.loading")}</p>}
+      {error && <p className="error">{t("app.error", { message: error })}</p>}
+      {!loading && !error && applications.length === 0 && (
+        <p className="text-center text-gray-600">{t("applications.empty")}</p>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {applications.map((application) => (
+          <li
+            key={application.externalId}
+            className="flex items-center justify-between gap-4 py-3"
+          >
+            <div>
+              <p className="font-medium text-gray-800">
+                {application.journeyName}
+              </p>
+              <p className="text-sm text-gray-500">
+                {t("applications.progress", {
+                  step: application.step?.split("-")[0] || "—",
+                  updated: formatDateTime(culture, application.updatedAt),
+                })}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => onResume(application)}
+              disabled={disabled}
+              className="rounded-xl bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 transition disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              {t("applications.continue")}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default MyApplications;
@@ -0,0 +1,193 @@
+import { useTranslation } from "./i18n";
+
+export const MAX_COMPARED_OFFERS = 3;
+
+function formatAmount(culture, price) {
+  if (!price) {
+    return "—";
+  }
+  if (!price.currency) {
+    return new Intl.NumberFormat(culture).format(price.amount);
+  }
+  try {
+    return new Intl.NumberFormat(culture, {
+      style: "currency",
+      currency: price.currency,
+    }).format(price.amount);
+  } catch (_e) {
+    return `${price.amount} ${price.currency}`;
+  }
+}
+
+function formatDate(culture, value) {
+  return value ? new Intl.DateTimeFormat(culture).format(new Date(value)) : "";
+}
+
+function ComparisonRow({ label, offers, render }) {
+  return (
+    <tr className="border-t border-gray-200 align-top">
+      <th scope="row" className="py-3 pr-4 font-medium text-gray-700">
+        {label}
+      </th>
+      {offers.map((offer) => (
+        <td
+          key={`${offer.offerId}-${offer.cardId}`}
+          className="py-3 pr-4 text-gray-600"
+        >
+          {render(offer)}
+        </td>
+      ))}
+    </tr>
+  );
+}
+
+function OfferComparison({ offers, isSelected, onSelect, onRemove }) {
+  const { culture, t } = useTranslation();
+
+  function periodLabel(period) {
+    if (!period) {
+      return "";
+    }
+    const key = `offers.period.${period}`;
+    const label = t(key);
+    return ` / ${label === key ? period : label}`;
+  }
+
+  function list(items, render) {
+    if (items.length === 0) {
+      return "—";
+    }
+    return (
+      <ul className="space-y-1">
+        {items.map((item, index) => (
+          <li key={index}>{render(item)}</li>
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <div className="mt-8 overflow-x-auto">
+      <h2 className="text-lg font-semibold text-gray-900 mb-3">
+        {t("offers.compareTitle")}
+      </h2>
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr>
+            <td />
+            {offers.map((offer) => (
+              <th
+                key={`${offer.offerId}-${offer.cardId}`}
+                scope="col"
+                className="pb-3 pr-4 font-semibold text-gray-900"
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <span>{offer.cardTitle}</span>
+                  <button
+                    type="button"
+                    onClick={() => onRemove(offer)}
+                    aria-label={t("offers.removeFromComparison", {
+                      name: offer.cardTitle,
+                    })}
+                    className="text-gray-400 hover:text-gray-700"
+                  >
+                    ×
+                  </button>
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          <ComparisonRow
+            label={t("offers.price")}
+            offers={offers}
+            render={(offer) =>
+              offer.pricing
+                ? `${formatAmount(culture, offer.pricing)}${periodLabel(offer.pricing.period)}`
+                : "—"
+            }
+          />
+          <ComparisonRow
+            label={t("offers.fees")}
+            offers={offers}
+            render={(offer) =>
+              list(
+                offer.fees,
+                (fee) =>
+                  `${fee.name}: ${formatAmount(culture, fee)}${periodLabel(fee.period)}`,
+              )
+            }
+          />
+          <ComparisonRow
+            label={t("offers.interestRates")}
+            offers={offers}
+            render={(offer) =>
+              list(
+                offer.interestRates,
+                (rate) =>
+                  `${rate.name}: ${new Intl.NumberFormat(culture, {
+                    maximumFractionDigits: 2,
+                  }).format(rate.rate)}%${rate.type ? ` (${rate.type})` : ""}`,
+              )
+            }
+          />
+          <ComparisonRow
+            label={t("offers.validity")}
+            offers={offers}
+            render={(offer) =>
+              offer.validFrom || offer.validTo
+                ? `${formatDate(culture, offer.validFrom)} – ${formatDate(culture, offer.validTo)}`
+                : "—"
+            }
+          />
+          <ComparisonRow
+            label={t("offers.benefits")}
+            offers={offers}
+            render={(offer) => list(offer.benefits, (benefit) => benefit)}
+          />
+          <ComparisonRow
+            label={t("offers.terms")}
+            offers={offers}
+            render={(offer) =>
+              list(offer.terms, (document) => (
+                <a
+                  href={document.url}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-blue-600 underline hover:text-blue-800"
+                >
+                  {document.name || document.url}
+                </a>
+              ))
+            }
+          />
+          <ComparisonRow
+            label=""
+            offers={offers}
+            render={(offer) => (
+              <button
+                type="button"
+                onClick={() => onSelect(offer)}
+                disabled={!offer.eligible}
+                className={`w-full rounded-xl py-2 font-medium text-white transition disabled:cursor-not-allowed disabled:bg-gray-400 ${
+                  isSelected(offer)
+                    ? "bg-blue-600 hover:bg-blue-700"
+                    : "bg-gray-900 hover:bg-black"
+                }`}
+              >
+                {!offer.eligible
+                  ? t("offers.notEligible")
+                  : isSelected(offer)
+                    ? t("offers.selected")
+                    : t("offers.select")}
+              </button>
+            )}
+          />
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default OfferComparison;
@@ -0,0 +1,115 @@
+import { useState } from "react";
+import { useTranslation } from "./i18n";
+
+function formatDateTime(culture, value) {
+  return new Intl.DateTimeFormat(culture, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(value));
+}
+
+function SaveForLater({ externalId, selectedOffer, defaultEmail, disabled }) {
+  const { culture, t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const [email, setEmail] = useState(defaultEmail || "");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+  const [sent, setSent] = useState(null);
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    try {
+      setSending(true);
+      setError("");
+
+      const response = await fetch("/api/journey/save", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept-Language": culture,
+        },
+        body: JSON.stringify({ externalId, email, selectedOffer }),
+      });
+
+      const payload = await response.json();
+      if (!response.ok) {
+        throw new Error(payload?.message || t("errors.save"));
+      }
+
+      setSent({ email, expiresAt: payload.expiresAt });
+      setOpen(false);
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setSending(false);
+    }
+  }
+
+  if (!open) {
+    return (
+      <div className="mt-6 text-center">
+        {sent && (
+          <p className="mb-2 text-sm text-green-700">
+            {t("save.sent", {
+              email: sent.email,
+              expires: formatDateTime(culture, sent.expiresAt),
+            })}
+          </p>
+        )}
+        <button
+          type="button"
+          className="text-sm text-blue-600 hover:underline disabled:cursor-not-allowed disabled:opacity-50"
+          onClick={() => setOpen(true)}
+          disabled={disabled}
+        >
+          {t("save.action")}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      className="mt-6 rounded-xl border border-gray-200 bg-gray-50 p-4"
+      onSubmit={onSubmit}
+    >
+      <h2 className="font-medium text-gray-800">{t("save.title")}</h2>
+      <p className="mb-3 text-sm text-gray-600">{t("save.hint")}</p>
+      <label
+        htmlFor="save_email"
+        className="block text-sm font-medium text-gray-700 mb-1"
+      >
+        {t("save.email")}
+      </label>
+      <input
+        id="save_email"
+        type="email"
+        required
+        autoComplete="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        className="w-full rounded-md border border-gray-300 px-3 py-2"
+      />
+      {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+      <div className="mt-3 flex justify-end gap-2">
+        <button
+          type="button"
+          className="rounded-xl border border-gray-300 px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 transition"
+          onClick={() => setOpen(false)}
+          disabled={sending}
+        >
+          {t("save.cancel")}
+        </button>
+        <button
+          type="submit"
+          className="rounded-xl bg-blue-600 px-4 py-2 text-sm font-medium text-white hover:bg-blue-700 transition disabled:cursor-not-allowed disabled:opacity-50"
+          disabled={sending || disabled}
+        >
+          {sending ? t("save.sending") : t("save.send")}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default SaveForLater;
@@ -0,0 +1,60 @@
+const TYPE_ALIASES = {
+  text: "text",
+  string: "text",
+  textbox: "text",
+  multilinetext: "textarea",
+  textarea: "textarea",
+  memo: "textarea",
+  longtext: "textarea",
+  number: "decimal",
+  numeric: "decimal",
+  decimal: "decimal",
+  double: "decimal",
+  float: "decimal",
+  integer: "integer",
+  int: "integer",
+  wholenumber: "integer",
+  money: "money",
+  currency: "money",
+  bool: "boolean",
+  boolean: "boolean",
+  yesno: "boolean",
+  checkbox: "boolean",
+  date: "date",
+  dateonly: "date",
+  datetime: "datetime",
+  dateandtime: "datetime",
+  email: "email",
+  phone: "phone",
+  phonenumber: "phone",
+  tel: "phone",
+  optionset: "optionset",
+  picklist: "optionset",
+  multioptionset: "multioptionset",
+  multiselectoptionset: "multioptionset",
+  multiselect: "multioptionset",
+  document: "document",
+  file: "document",
+  attachment: "document",
+  upload: "document",
+};
+
+function normalizeTypeName(type) {
+  return String(type || "")
+    .toLowerCase()
+    .replace(/[\s_-]/g, "");
+}
+
+export function fieldKind(field) {
+  for (const type of [field.type, field.dataType]) {
+    const kind = TYPE_ALIASES[normalizeTypeName(type)];
+    if (kind) {
+      return kind;
+    }
+  }
+  return "unknown";
+}
+
+export function isNumericKind(kind) {
+  return kind === "integer" || kind === "decimal" || kind === "money";
+}
@@ -0,0 +1,486 @@
+import { useEffect, useState } from "react";
+import { fieldKind } from "./fieldTypes";
+import { useTranslation } from "./i18n";
+
+const DEFAULT_ACCEPTED_FILE_TYPES = [
+  "application/pdf",
+  "image/jpeg",
+  "image/png",
+];
+const DEFAULT_MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+const inputClassName =
+  "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:outline-none aria-invalid:border-red-500";
+
+function toNumberOrNull(value) {
+  if (value === "" || value === null || value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? value : number;
+}
+
+function toDateInputValue(value) {
+  if (!value) {
+    return "";
+  }
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : "";
+}
+
+function toDateTimeInputValue(value) {
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  if (value === null || value === undefined || value === "") {
+    return [];
+  }
+  return String(value)
+    .split(/[,;]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function toDocumentValue(value) {
+  if (!value) {
+    return "";
+  }
+  if (typeof value === "object") {
+    return value.reference ? value : "";
+  }
+  return { reference: String(value), fileName: String(value) };
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function acceptedFileTypes(field) {
+  const accept = field.allowedFileTypes || field.accept;
+  if (Array.isArray(accept)) {
+    return accept;
+  }
+  if (typeof accept === "string" && accept.trim()) {
+    return accept.split(",").map((type) => type.trim());
+  }
+  return DEFAULT_ACCEPTED_FILE_TYPES;
+}
+
+function isAcceptedFile(file, accepted) {
+  const fileName = file.name.toLowerCase();
+  return accepted.some((type) => {
+    const rule = type.toLowerCase();
+    if (rule.startsWith(".")) {
+      return fileName.endsWith(rule);
+    }
+    if (rule.endsWith("/*")) {
+      return file.type.startsWith(rule.slice(0, -1));
+    }
+    return file.type === rule;
+  });
+}
+
+function toBoolean(value) {
+  return value === true || value === "true" || value === 1 || value === "1";
+}
+
+function TextInput({
+  type = "text",
+  autoComplete,
+  inputProps,
+  value,
+  onChange,
+}) {
+  return (
+    <input
+      {...inputProps}
+      type={type}
+      autoComplete={autoComplete}
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value)}
+      className={inputClassName}
+    />
+  );
+}
+
+function TextAreaInput({ inputProps, value, onChange }) {
+  return (
+    <textarea
+      {...inputProps}
+      rows={4}
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value)}
+      className={inputClassName}
+    />
+  );
+}
+
+function NumberInput({ field, inputProps, value, onChange }) {
+  const kind = fieldKind(field);
+  return (
+    <input
+      {...inputProps}
+      type="number"
+      inputMode={kind === "integer" ? "numeric" : "decimal"}
+      step={kind === "integer" ? 1 : "any"}
+      min={field.minValue ?? field.min}
+      max={field.maxValue ?? field.max}
+      value={value ?? ""}
+      onChange={(e) => onChange(e.target.value)}
+      className={inputClassName}
+    />
+  );
+}
+
+function MoneyInput({ field, inputProps, value, onChange }) {
+  const currency = field.currency || field.currencyCode;
+  return (
+    <div className="relative w-full">
+      <input
+        {...inputProps}
+        type="number"
+        inputMode="decimal"
+        step="0.01"
+        min={field.minValue ?? field.min}
+        max={field.maxValue ?? field.max}
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${inputClassName} ${currency ? "pr-14" : ""}`}
+      />
+      {currency && (
+        <span className="pointer-events-none absolute inset-y-0 right-3 flex items-center text-sm text-gray-500">
+          {currency}
+        </span>
+      )}
+    </div>
+  );
+}
+
+function BooleanInput({ field, inputProps, value, onChange }) {
+  const { t } = useTranslation();
+  return (
+    <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+      <input
+        {...inputProps}
+        type="checkbox"
+        checked={toBoolean(value)}
+        onChange={(e) => onChange(e.target.checked)}
+        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+      />
+      {field.checkboxLabel || t("fields.yes")}
+    </label>
+  );
+}
+
+function OptionSetInput({ field, inputProps, value, onChange }) {
+  const { t } = useTranslation();
+  const options = Array.isArray(field.optionSetValues)
+    ? field.optionSetValues
+    : [];
+  return (
+    <div className="relative w-full">
+      <select
+        {...inputProps}
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value)}
+        className="w-full appearance-none border border-gray-300 rounded-lg px-3 pr-10 py-2 bg-white focus:ring-2 focus:ring-blue-500 focus:outline-none aria-invalid:border-red-500"
+      >
+        <option value="">{t("fields.selectPlaceholder")}</option>
+        {options.map((option) => (
+          <option key={option.id} value={option.id}>
+            {option.displayName}
+          </option>
+        ))}
+      </select>
+      <div className="pointer-events-none absolute inset-y-0 right-3 flex items-center text-gray-400">
+        <svg
+          className="w-4 h-4"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          viewBox="0 0 24 24"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            d="M19 9l-7 7-7-7"
+          />
+        </svg>
+      </div>
+    </div>
+  );
+}
+
+function MultiOptionSetInput({ field, inputProps, value, onChange }) {
+  const options = Array.isArray(field.optionSetValues)
+    ? field.optionSetValues
+    : [];
+  const selected = toArray(value);
+
+  function toggle(optionId) {
+    onChange(
+      selected.includes(optionId)
+        ? selected.filter((id) => id !== optionId)
+        : [...selected, optionId],
+    );
+  }
+
+  return (
+    <div
+      id={inputProps.id}
+      role="group"
+      tabIndex={-1}
+      aria-invalid={inputProps["aria-invalid"]}
+      aria-describedby={inputProps["aria-describedby"]}
+      className="flex flex-wrap gap-x-4 gap-y-2"
+    >
+      {options.map((option) => {
+        const optionId = String(option.id);
+        return (
+          <label
+            key={optionId}
+            className="inline-flex items-center gap-2 text-sm text-gray-700"
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(optionId)}
+              onChange={() => toggle(optionId)}
+              disabled={inputProps.disabled}
+              className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            {option.displayName}
+          </label>
+        );
+      })}
+    </div>
+  );
+}
+
+function DocumentInput({ field, inputProps, value, onChange, onUpload }) {
+  const { t } = useTranslation();
+  const [uploading, setUploading] = useState(false);
+  const [uploadError, setUploadError] = useState("");
+  const [previewUrl, setPreviewUrl] = useState("");
+  const accepted = acceptedFileTypes(field);
+  const maxBytes = Number(field.maxFileSize) || DEFAULT_MAX_FILE_BYTES;
+  const storedDocument = toDocumentValue(value);
+
+  useEffect(() => {
+    return () => {
+      if (previewUrl) {
+        URL.revokeObjectURL(previewUrl);
+      }
+    };
+  }, [previewUrl]);
+
+  async function onFileSelected(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) {
+      return;
+    }
+
+    setUploadError("");
+    if (!isAcceptedFile(file, accepted)) {
+      setUploadError(t("fields.fileType", { fileName: file.name }));
+      return;
+    }
+    if (file.size > maxBytes) {
+      setUploadError(
+        t("fields.fileSize", {
+          fileName: file.name,
+          size: formatBytes(maxBytes),
+        }),
+      );
+      return;
+    }
+
+    try {
+      setUploading(true);
+      const stored = await onUpload(field, file);
+      setPreviewUrl(
+        file.type.startsWith("image/") ? URL.createObjectURL(file) : "",
+      );
+      onChange({ ...stored, size: file.size });
+    } catch (uploadFailure) {
+      setUploadError(uploadFailure.message);
+    } finally {
+      setUploading(false);
+    }
+  }
+
+  function onRemove() {
+    setPreviewUrl("");
+    onChange("");
+  }
+
+  return (
+    <div className="w-full">
+      <input
+        {...inputProps}
+        type="file"
+        accept={accepted.join(",")}
+        disabled={inputProps.disabled || uploading}
+        onChange={onFileSelected}
+        className="block w-full text-sm text-gray-700 file:mr-4 file:rounded-lg file:border-0 file:bg-gray-900 file:px-4 file:py-2 file:text-white hover:file:bg-black"
+      />
+      <p className="mt-1 text-xs text-gray-500">
+        {t("fields.fileHint", {
+          types: accepted.join(", "),
+          size: formatBytes(maxBytes),
+        })}
+      </p>
+      {uploading && (
+        <p className="mt-2 text-sm text-blue-600">{t("fields.uploading")}</p>
+      )}
+      {uploadError && (
+        <p className="mt-2 text-sm text-red-600">{uploadError}</p>
+      )}
+      {storedDocument && !uploading && (
+        <div className="mt-3 flex items-center gap-3 rounded-lg border border-gray-200 p-3">
+          {previewUrl ? (
+            <img
+              src={previewUrl}
+              alt={storedDocument.fileName}
+              className="h-16 w-16 rounded object-cover"
+            />
+          ) : (
+            <span className="flex h-16 w-16 items-center justify-center rounded bg-gray-100 text-xs font-medium text-gray-500">
+              {(storedDocument.fileName || "")
+                .split(".")
+                .pop()
+                ?.toUpperCase() || "FILE"}
+            </span>
+          )}
+          <div className="flex-1 text-sm">
+            <div className="font-medium text-gray-800">
+              {storedDocument.fileName}
+            </div>
+            {storedDocument.size && (
+              <div className="text-gray-500">
+                {formatBytes(storedDocument.size)}
+              </div>
+            )}
+          </div>
+          {!inputProps.disabled && (
+            <button
+              type="button"
+              onClick={onRemove}
+              className="text-sm text-gray-600 hover:text-gray-900"
+            >
+              {t("fields.remove")}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const fieldTypes = new Map();
+
+export function registerFieldType(kind, definition) {
+  fieldTypes.set(kind, {
+    toFormValue: (value) => value ?? "",
+    serialize: (value) => value ?? "",
+    ...definition,
+  });
+}
+
+registerFieldType("text", { Component: TextInput });
+registerFieldType("textarea", { Component: TextAreaInput });
+registerFieldType("email", {
+  Component: (props) => <TextInput {...props} type="email" />,
+});
+registerFieldType("phone", {
+  Component: (props) => <TextInput {...props} type="tel" autoComplete="tel" />,
+});
+for (const kind of ["integer", "decimal"]) {
+  registerFieldType(kind, {
+    Component: NumberInput,
+    serialize: toNumberOrNull,
+  });
+}
+registerFieldType("money", {
+  Component: MoneyInput,
+  serialize: toNumberOrNull,
+});
+registerFieldType("boolean", {
+  Component: BooleanInput,
+  toFormValue: toBoolean,
+  serialize: toBoolean,
+});
+registerFieldType("date", {
+  Component: (props) => <TextInput {...props} type="date" />,
+  toFormValue: toDateInputValue,
+  serialize: (value) => value || null,
+});
+registerFieldType("datetime", {
+  Component: (props) => <TextInput {...props} type="datetime-local" />,
+  toFormValue: toDateTimeInputValue,
+  serialize: (value) => (value ? new Date(value).toISOString() : null),
+});
+registerFieldType("optionset", { Component: OptionSetInput });
+registerFieldType("multioptionset", {
+  Component: MultiOptionSetInput,
+  toFormValue: toArray,
+  serialize: toArray,
+});
+registerFieldType("document", {
+  Component: DocumentInput,
+  toFormValue: toDocumentValue,
+  serialize: (value) => toDocumentValue(value)?.reference || null,
+});
+registerFieldType("unknown", { Component: TextInput });
+
+function fieldTypeFor(field) {
+  const kind = fieldKind(field);
+  if (kind === "optionset" && !Array.isArray(field.optionSetValues)) {
+    return fieldTypes.get("text");
+  }
+  return fieldTypes.get(kind) || fieldTypes.get("unknown");
+}
+
+export function initialFieldValue(field) {
+  return fieldTypeFor(field).toFormValue(field.value);
+}
+
+export function serializeFieldValue(field, value) {
+  return fieldTypeFor(field).serialize(value);
+}
+
+export function FieldInput({ field, value, onChange, onUpload, error }) {
+  const { Component } = fieldTypeFor(field);
+  const inputProps = {
+    id: field.name,
+    name: field.name,
+    disabled: field.isReadOnly,
+    "aria-invalid": Boolean(error),
+    "aria-describedby": error ? `${field.name}-error` : undefined,
+  };
+
+  return (
+    <Component
+      field={field}
+      value={value}
+      onChange={onChange}
+      onUpload={onUpload}
+      inputProps={inputProps}
+    />
+  );
+}
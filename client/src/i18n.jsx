@@ -0,0 +1,78 @@
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import enGB from "./locales/en-GB.json";
+import roRO from "./locales/ro-RO.json";
+
+const CULTURE_STORAGE_KEY = "culture";
+
+export const LANGUAGES = [
+  { culture: "en-GB", label: "English", messages: enGB },
+  { culture: "ro-RO", label: "Română", messages: roRO },
+];
+
+export const DEFAULT_CULTURE = LANGUAGES[0].culture;
+
+function matchCulture(tag) {
+  const wanted = String(tag || "").toLowerCase();
+  const language = wanted.split("-")[0];
+  const match =
+    LANGUAGES.find(({ culture }) => culture.toLowerCase() === wanted) ||
+    LANGUAGES.find(
+      ({ culture }) => culture.toLowerCase().split("-")[0] === language,
+    );
+  return match?.culture || null;
+}
+
+function initialCulture() {
+  const candidates = [
+    localStorage.getItem(CULTURE_STORAGE_KEY),
+    ...(navigator.languages || [navigator.language]),
+  ];
+  for (const candidate of candidates) {
+    const culture = matchCulture(candidate);
+    if (culture) {
+      return culture;
+    }
+  }
+  return DEFAULT_CULTURE;
+}
+
+export function translate(culture, key, params = {}) {
+  const messages =
+    LANGUAGES.find((language) => language.culture === culture)?.messages || {};
+  const template = messages[key] ?? enGB[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] === undefined ? placeholder : String(params[name]),
+  );
+}
+
+const I18nContext = createContext({
+  culture: DEFAULT_CULTURE,
+  setCulture: () => {},
+  t: (key, params) => translate(DEFAULT_CULTURE, key, params),
+});
+
+export function I18nProvider({ children }) {
+  const [culture, setCultureState] = useState(initialCulture);
+
+  useEffect(() => {
+    document.documentElement.lang = culture;
+  }, [culture]);
+
+  const value = useMemo(
+    () => ({
+      culture,
+      setCulture(nextCulture) {
+        localStorage.setItem(CULTURE_STORAGE_KEY, nextCulture);
+        setCultureState(nextCulture);
+      },
+      t: (key, params) => translate(culture, key, params),
+    }),
+    [culture],
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useTranslation() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,132 @@
+import { fieldKind, isNumericKind } from "./fieldTypes";
+import { DEFAULT_CULTURE, translate } from "./i18n";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const PHONE_PATTERN = /^\+?[0-9\s().-]{6,20}$/;
+
+function firstDefined(...values) {
+  return values.find((value) => value !== undefined && value !== null);
+}
+
+export function fieldRules(field) {
+  const validation = field.validation || {};
+  return {
+    required: Boolean(
+      firstDefined(field.isRequired, field.required, validation.required),
+    ),
+    readOnly: Boolean(field.isReadOnly),
+    kind: fieldKind(field),
+    min: firstDefined(field.minValue, field.min, validation.min),
+    max: firstDefined(field.maxValue, field.max, validation.max),
+    minLength: firstDefined(field.minLength, validation.minLength),
+    maxLength: firstDefined(field.maxLength, validation.maxLength),
+    pattern: firstDefined(
+      field.regex,
+      field.pattern,
+      field.validationRegex,
+      validation.regex,
+      validation.pattern,
+    ),
+    patternMessage: firstDefined(
+      field.regexMessage,
+      field.validationMessage,
+      validation.message,
+    ),
+  };
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "") ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+export function validateField(field, value, culture = DEFAULT_CULTURE) {
+  const rules = fieldRules(field);
+  const label = field.displayName || field.name;
+  const message = (key) => translate(culture, key, { ...rules, label });
+
+  if (rules.readOnly) {
+    return null;
+  }
+
+  if (isEmpty(value)) {
+    return rules.required ? message("validation.required") : null;
+  }
+
+  const text = String(value);
+
+  if (isNumericKind(rules.kind)) {
+    const number = Number(text);
+    if (text.trim() === "" || Number.isNaN(number)) {
+      return message("validation.number");
+    }
+    if (rules.kind === "integer" && !Number.isInteger(number)) {
+      return message("validation.integer");
+    }
+    if (rules.min !== undefined && number < Number(rules.min)) {
+      return message("validation.min");
+    }
+    if (rules.max !== undefined && number > Number(rules.max)) {
+      return message("validation.max");
+    }
+  }
+
+  if (rules.kind === "date" || rules.kind === "datetime") {
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+      return message("validation.date");
+    }
+    if (rules.min !== undefined && time < Date.parse(rules.min)) {
+      return message("validation.minDate");
+    }
+    if (rules.max !== undefined && time > Date.parse(rules.max)) {
+      return message("validation.maxDate");
+    }
+  }
+
+  if (rules.kind === "email" && !EMAIL_PATTERN.test(text)) {
+    return message("validation.email");
+  }
+
+  if (rules.kind === "phone" && !PHONE_PATTERN.test(text)) {
+    return message("validation.phone");
+  }
+
+  if (rules.minLength !== undefined && text.length < Number(rules.minLength)) {
+    return message("validation.minLength");
+  }
+
+  if (rules.maxLength !== undefined && text.length > Number(rules.maxLength)) {
+    return message("validation.maxLength");
+  }
+
+  if (rules.pattern) {
+    let pattern = null;
+    try {
+      pattern = new RegExp(rules.pattern);
+    } catch (_error) {
+      pattern = null;
+    }
+    if (pattern && !pattern.test(text)) {
+      return rules.patternMessage || message("validation.pattern");
+    }
+  }
+
+  return null;
+}
+
+export function validateStep(step, formValues, culture) {
+  const errors = {};
+  for (const field of step?.fields || []) {
+    const message = validateField(field, formValues[field.name], culture);
+    if (message) {
+      errors[field.name] = message;
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,57 @@
+// Signed-in customers' in-progress journeys, kept in the session store so they
+// can be listed and resumed from any device.
+function createApplicationIndex({ store, ttlMs, limit = 20, now = Date.now }) {
+  const keyFor = (userId) => `applications:${userId}`;
+
+  async function list(userId) {
+    const data = await store.get(keyFor(userId));
+    return data?.applications || [];
+  }
+
+  async function find(userId, externalId) {
+    const applications = await list(userId);
+    return (
+      applications.find((entry) => entry.externalId === externalId) || null
+    );
+  }
+
+  async function track(
+    userId,
+    { externalId, previousExternalId, journeyKey, step },
+  ) {
+    const applications = await list(userId);
+    const replaced = new Set([externalId, previousExternalId]);
+    const existing = applications.find((entry) =>
+      replaced.has(entry.externalId),
+    );
+    const others = applications.filter(
+      (entry) => !replaced.has(entry.externalId),
+    );
+
+    const timestamp = new Date(now()).toISOString();
+    const next = step?.isLastStep
+      ? others
+      : [
+          {
+            externalId,
+            journeyKey,
+            step: step?.journeyStep || null,
+            startedAt: existing?.startedAt || timestamp,
+            updatedAt: timestamp,
+          },
+          ...others,
+        ].slice(0, limit);
+
+    if (next.length === 0) {
+      await store.destroy(keyFor(userId));
+    } else {
+      await store.set(keyFor(userId), { applications: next }, ttlMs);
+    }
+  }
+
+  return { list, find, track };
+}
+
+module.exports = {
+  createApplicationIndex,
+};
@@ -0,0 +1,240 @@
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+const { createTokenManager } = require("./tokenManager");
+
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" },
+};
+
+function extractToken(payload) {
+  if (typeof payload === "string") {
+    return payload.replace(/^"|"$/g, "");
+  }
+
+  if (payload && typeof payload === "object") {
+    return (
+      payload.accessToken ||
+      payload.access_token ||
+      payload.token ||
+      payload.jwt ||
+      payload.id_token ||
+      null
+    );
+  }
+
+  return null;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function decodeJwtPayload(token) {
+  try {
+    const parts = token.split(".");
+    if (parts.length < 2) {
+      return null;
+    }
+
+    return decodeSegment(parts[1]);
+  } catch (_error) {
+    return null;
+  }
+}
+
+// How each mode asks for a token.
+const TOKEN_REQUESTS = {
+  password: ({ tokenUrl, userName, password }) => ({
+    url: tokenUrl,
+    data: { userName, password },
+  }),
+  // FintechOS's own endpoint, which takes the client credentials as JSON.
+  client_credentials: ({ tokenUrl, clientId, clientSecret }) => ({
+    url: tokenUrl,
+    data: { clientId, clientSecret },
+  }),
+  oauth2: ({ tokenUrl, clientId, clientSecret, scope }) => ({
+    url: tokenUrl,
+    data: new URLSearchParams({
+      grant_type: "client_credentials",
+      client_id: clientId,
+      client_secret: clientSecret,
+      ...(scope ? { scope } : {}),
+    }).toString(),
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+  }),
+};
+
+function createAuthProvider({
+  name,
+  mode,
+  settings,
+  client,
+  refreshMarginMs,
+  onRefresh,
+}) {
+  if (!TOKEN_REQUESTS[mode]) {
+    throw new Error(`Unknown ${name} auth mode "${mode}"`);
+  }
+
+  const tokenRequest = TOKEN_REQUESTS[mode](settings);
+  const tokens = createTokenManager({
+    decodeJwtPayload,
+    refreshMarginMs,
+    onRefresh,
+    fetchToken: async ({ url, data, headers }) => {
+      const response = await client.request({
+        method: "POST",
+        url,
+        endpoint: "token",
+        data,
+        headers: { accept: "application/json", ...headers },
+        idempotent: true,
+      });
+
+      const token = extractToken(response);
+      if (!token) {
+        throw new Error(
+          `Could not extract token from ${name} authentication response`,
+        );
+      }
+      return token;
+    },
+  });
+
+  return { name, mode, ...tokens.source(tokenRequest), clear: tokens.clear };
+}
+
+function invalidToken(message) {
+  return new ApiError(401, message, { code: "INVALID_TOKEN" });
+}
+
+function hasAudience(claims, audience) {
+  const values = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  return values.includes(audience);
+}
+
+function createTokenVerifier({
+  fetchJwks,
+  issuer,
+  audience,
+  clockToleranceMs = 30000,
+  cacheTtlMs = 600000,
+  minRefreshMs = 10000,
+  now = Date.now,
+}) {
+  let keys = new Map();
+  let fetchedAt = -Infinity;
+  let pending = null;
+
+  function refresh() {
+    pending ??= Promise.resolve()
+      .then(fetchJwks)
+      .then((jwks) => {
+        keys = new Map(
+          (jwks?.keys || [])
+            .filter((jwk) => jwk.kid && (!jwk.use || jwk.use === "sig"))
+            .map((jwk) => [
+              jwk.kid,
+              {
+                alg: jwk.alg,
+                key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+              },
+            ]),
+        );
+        fetchedAt = now();
+        return keys;
+      })
+      .finally(() => {
+        pending = null;
+      });
+    return pending;
+  }
+
+  async function findKey(kid) {
+    const age = now() - fetchedAt;
+    if (age >= cacheTtlMs) {
+      await refresh();
+    } else if (!keys.has(kid) && age >= minRefreshMs) {
+      // An unknown kid usually means the keys were rotated.
+      await refresh();
+    }
+    return keys.get(kid);
+  }
+
+  async function verify(token) {
+    const parts = token.split(".");
+    let header;
+    let claims;
+    try {
+      header = decodeSegment(parts[0]);
+      claims = decodeSegment(parts[1]);
+    } catch (_error) {
+      throw invalidToken("Malformed token");
+    }
+    if (
+      parts.length !== 3 ||
+      !header?.alg ||
+      !claims ||
+      typeof claims !== "object"
+    ) {
+      throw invalidToken("Malformed token");
+    }
+
+    const algorithm = SIGNING_ALGORITHMS[header.alg];
+    if (!algorithm) {
+      throw invalidToken(`Unsupported token algorithm ${header.alg}`);
+    }
+
+    const signingKey = await findKey(header.kid);
+    if (!signingKey || (signingKey.alg && signingKey.alg !== header.alg)) {
+      throw invalidToken("Unknown token signing key");
+    }
+
+    const valid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key: signingKey.key, dsaEncoding: algorithm.dsaEncoding },
+      Buffer.from(parts[2], "base64url"),
+    );
+    if (!valid) {
+      throw invalidToken("Invalid token signature");
+    }
+
+    const currentTime = now();
+    if (claims.iss !== issuer) {
+      throw invalidToken("Token was issued by an unexpected issuer");
+    }
+    if (!hasAudience(claims, audience)) {
+      throw invalidToken("Token is not meant for this service");
+    }
+    if (
+      typeof claims.exp !== "number" ||
+      claims.exp * 1000 + clockToleranceMs <= currentTime
+    ) {
+      throw invalidToken("Token has expired");
+    }
+    if (
+      typeof claims.nbf === "number" &&
+      claims.nbf * 1000 - clockToleranceMs > currentTime
+    ) {
+      throw invalidToken("Token is not valid yet");
+    }
+
+    return claims;
+  }
+
+  return { verify, refresh };
+}
+
+module.exports = {
+  extractToken,
+  decodeJwtPayload,
+  createAuthProvider,
+  createTokenVerifier,
+};
@@ -0,0 +1,76 @@
+function createCache({
+  ttlMs,
+  staleMs = 0,
+  maxEntries = 1000,
+  now = Date.now,
+}) {
+  const entries = new Map();
+  const pending = new Map();
+  const counters = { hits: 0, misses: 0, stale: 0, refreshErrors: 0 };
+
+  function load(key, loader) {
+    if (pending.has(key)) {
+      return pending.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(loader)
+      .then((value) => {
+        entries.delete(key);
+        entries.set(key, { value, storedAt: now() });
+        if (entries.size > maxEntries) {
+          entries.delete(entries.keys().next().value);
+        }
+        return value;
+      })
+      .finally(() => pending.delete(key));
+    pending.set(key, promise);
+    return promise;
+  }
+
+  async function get(key, loader) {
+    if (ttlMs <= 0) {
+      counters.misses += 1;
+      return loader();
+    }
+
+    const entry = entries.get(key);
+    const age = entry ? now() - entry.storedAt : Infinity;
+    if (age < ttlMs) {
+      counters.hits += 1;
+      return entry.value;
+    }
+
+    if (age < ttlMs + staleMs) {
+      counters.stale += 1;
+      load(key, loader).catch(() => {
+        counters.refreshErrors += 1;
+      });
+      return entry.value;
+    }
+
+    counters.misses += 1;
+    return load(key, loader);
+  }
+
+  function purge(matches = () => true) {
+    let purged = 0;
+    for (const key of [...entries.keys()]) {
+      if (matches(key)) {
+        entries.delete(key);
+        purged += 1;
+      }
+    }
+    return purged;
+  }
+
+  function stats() {
+    return { ...counters, size: entries.size };
+  }
+
+  return { get, purge, stats };
+}
+
+module.exports = {
+  createCache,
+};
@@ -0,0 +1,135 @@
+const {
+  ConfigError,
+  describeConfig,
+  loadEnvFiles,
+  resolveConfig,
+} = require("./config");
+
+const USAGE = `Usage: node cli.js config [--profile <name>] [--probe] [--json]
+
+  --profile <name>  load .env.<name> before .env (defaults to CONFIG_PROFILE)
+  --probe           also fetch FintechOS and PFAPI tokens
+  --json            print the report as JSON`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, profile: process.env.CONFIG_PROFILE };
+  for (let index = 0; index < rest.length; index += 1) {
+    const arg = rest[index];
+    if (arg === "--probe") {
+      options.probe = true;
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--profile" && rest[index + 1]) {
+      options.profile = rest[index + 1];
+      index += 1;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+function printTable(rows) {
+  const columns = ["env", "value", "source"];
+  const widths = columns.map((column) =>
+    Math.max(column.length, ...rows.map((row) => row[column].length)),
+  );
+  const line = (row) =>
+    columns
+      .map((column, index) => row[column].padEnd(widths[index]))
+      .join("  ")
+      .trimEnd();
+  console.log(line({ env: "SETTING", value: "VALUE", source: "SOURCE" }));
+  for (const row of rows) {
+    console.log(line(row));
+  }
+}
+
+async function probe() {
+  // Loading the app also checks the journey registry.
+  process.env.LOG_LEVEL ??= "silent";
+  const { checkReadiness } = require("./index");
+  return checkReadiness();
+}
+
+async function configCommand(options) {
+  const { files, sources } = loadEnvFiles({ profile: options.profile });
+  const resolved = resolveConfig(process.env);
+  const report = {
+    profile: options.profile || null,
+    files,
+    settings: describeConfig(resolved, { sources }),
+    problems: resolved.problems,
+    warnings: resolved.warnings,
+  };
+
+  if (options.probe && report.problems.length === 0) {
+    try {
+      report.probe = await probe();
+    } catch (error) {
+      if (!(error instanceof ConfigError)) {
+        throw error;
+      }
+      report.problems.push(...error.problems);
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(
+      `Profile: ${report.profile || "(none)"}; files: ${files.join(", ") || "(none)"}\n`,
+    );
+    printTable(report.settings);
+    if (report.warnings.length + report.problems.length > 0) {
+      console.log("");
+    }
+    for (const warning of report.warnings) {
+      console.log(`Warning: ${warning}`);
+    }
+    for (const problem of report.problems) {
+      console.log(`Error: ${problem}`);
+    }
+    if (report.probe) {
+      console.log("\nAuth probe:");
+      for (const [name, check] of Object.entries(report.probe.checks)) {
+        console.log(
+          `  ${name}: ${check.ok ? "ok" : `${check.code} ${check.message}`}`,
+        );
+      }
+    }
+  }
+
+  return report.problems.length === 0 && (!report.probe || report.probe.ok);
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.command !== "config") {
+    console.error(USAGE);
+    return 2;
+  }
+
+  try {
+    return (await configCommand(options)) ? 0 : 1;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => process.exit(code));
+}
+
+module.exports = {
+  main,
+};
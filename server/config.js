@@ -0,0 +1,632 @@
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const dotenv = require("dotenv");
+const { parseOfferInputs } = require("./offerInputs");
+const { parseTimeouts } = require("./upstream");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems.map((problem) => `- ${problem}`).join("\n")}`,
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+function normalizeEndpoint(value) {
+  const endpoint = String(value).trim();
+  if (/^[a-z][a-z0-9+.-]*:/i.test(endpoint) || /\s/.test(endpoint)) {
+    throw new Error("must be a path such as /ftosapi/digitaljourney/start");
+  }
+  const [pathname, query] = endpoint.split("?");
+  const normalized = `/${pathname.replace(/^\/+|\/+$/g, "")}`;
+  return query === undefined ? normalized : `${normalized}?${query}`;
+}
+
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (_error) {
+    throw new Error("must be an absolute http(s) URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("must be an absolute http(s) URL");
+  }
+  if (url.search || url.hash) {
+    throw new Error("must not have a query string or fragment");
+  }
+  return value.trim().replace(/\/+$/, "");
+}
+
+function parseInteger(value, { min = 0 } = {}) {
+  if (!/^-?\d+$/.test(value.trim())) {
+    throw new Error("must be a whole number");
+  }
+  const number = Number(value);
+  if (number < min) {
+    throw new Error(`must be at least ${min}`);
+  }
+  return number;
+}
+
+function parseList(value) {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+const TRUST_PROXY_NAMES = new Set(["loopback", "linklocal", "uniquelocal"]);
+
+// Express "trust proxy": true/false, a hop count, or addresses and subnets.
+function parseTrustProxy(value) {
+  const trimmed = value.trim();
+  if (trimmed === "true" || trimmed === "false") {
+    return trimmed === "true";
+  }
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+
+  const entries = parseList(trimmed);
+  const valid = entries.every((entry) => {
+    const [address, bits] = entry.split("/");
+    return (
+      TRUST_PROXY_NAMES.has(entry) ||
+      (net.isIP(address) > 0 && (bits === undefined || /^\d+$/.test(bits)))
+    );
+  });
+  if (entries.length === 0 || !valid) {
+    throw new Error(
+      "must be true, false, a hop count or a list of addresses and subnets",
+    );
+  }
+  return entries;
+}
+
+const TYPES = {
+  string: (value) => value.trim(),
+  url: parseUrl,
+  endpoint: normalizeEndpoint,
+  integer: parseInteger,
+  seconds: (value, options) => parseInteger(value, options) * 1000,
+  list: parseList,
+  trustProxy: parseTrustProxy,
+  boolean(value) {
+    if (value !== "true" && value !== "false") {
+      throw new Error('must be "true" or "false"');
+    }
+    return value === "true";
+  },
+  enum(value, { values }) {
+    if (!values.includes(value.trim())) {
+      throw new Error(`must be one of ${values.join(", ")}`);
+    }
+    return value.trim();
+  },
+};
+
+const setting = (key, env, type, options = {}) => ({
+  key,
+  env: Array.isArray(env) ? env : [env],
+  type,
+  ...options,
+});
+
+// Defaults given as functions get the settings resolved so far and the env.
+const SCHEMA = [
+  setting("port", "PORT", "integer", { default: 3000, min: 1 }),
+  setting("baseUrl", "FINTECHOS_BASE_URL", "url", { required: true }),
+  setting("authMode", "FINTECHOS_AUTH_MODE", "enum", {
+    values: ["password", "client_credentials", "oauth2"],
+  }),
+  setting("authTokenEndpoint", "FINTECHOS_AUTH_TOKEN_ENDPOINT", "endpoint", {
+    default: "/ftosapi/authentication/keycloakToken",
+  }),
+  setting(
+    "clientTokenEndpoint",
+    "FINTECHOS_CLIENT_TOKEN_ENDPOINT",
+    "endpoint",
+    {
+      default: "/pfapi/Authentication/token",
+    },
+  ),
+  setting("clientId", "FINTECHOS_CLIENT_ID", "string"),
+  setting("clientSecret", "FINTECHOS_CLIENT_SECRET", "string", {
+    secret: true,
+  }),
+  setting("userName", "FINTECHOS_USER_NAME", "string"),
+  setting("password", "FINTECHOS_PASSWORD", "string", { secret: true }),
+  setting("oauth2TokenUrl", "FINTECHOS_OAUTH2_TOKEN_URL", "url"),
+  setting("oauth2Scope", "FINTECHOS_OAUTH2_SCOPE", "string"),
+  setting("culture", "FINTECHOS_CULTURE", "string", { default: "" }),
+  setting("supportedCultures", "SUPPORTED_CULTURES", "list", { default: [] }),
+  setting("startEndpoint", "FINTECHOS_START_ENDPOINT", "endpoint"),
+  setting(
+    "loadMetadataEndpoint",
+    "FINTECHOS_LOAD_METADATA_ENDPOINT",
+    "endpoint",
+  ),
+  setting("loadStepEndpoint", "FINTECHOS_LOAD_STEP_ENDPOINT", "endpoint"),
+  setting("nextEndpoint", "FINTECHOS_NEXT_ENDPOINT", "endpoint"),
+  setting("previousEndpoint", "FINTECHOS_PREVIOUS_ENDPOINT", "endpoint"),
+  setting(
+    "documentUploadEndpoint",
+    "FINTECHOS_DOCUMENT_UPLOAD_ENDPOINT",
+    "endpoint",
+  ),
+  setting("pfapiBaseUrl", "FINTECHOS_PFAPI_BASE_URL", "url", {
+    default: (config) => config.baseUrl,
+  }),
+  setting(
+    "pfapiTokenEndpoint",
+    ["FINTECHOS_PFAPI_TOKEN_ENDPOINT", "FINTECHOS_AUTH_PFAPI_TOKEN_ENDPOINT"],
+    "endpoint",
+    { default: "/pfapi/Authentication/token" },
+  ),
+  setting("pfapiAuthMode", "FINTECHOS_PFAPI_AUTH_MODE", "enum", {
+    values: ["client_credentials", "oauth2"],
+  }),
+  setting(
+    "pfapiClientId",
+    ["FINTECHOS_PFAPI_CLIENT_ID", "FINTECHOS_CLIENT_ID"],
+    "string",
+  ),
+  setting(
+    "pfapiClientSecret",
+    ["FINTECHOS_PFAPI_CLIENT_SECRET", "FINTECHOS_CLIENT_SECRET"],
+    "string",
+    { secret: true },
+  ),
+  setting("pfapiOauth2TokenUrl", "FINTECHOS_PFAPI_OAUTH2_TOKEN_URL", "url", {
+    default: (config) => config.oauth2TokenUrl,
+  }),
+  setting("pfapiOauth2Scope", "FINTECHOS_PFAPI_OAUTH2_SCOPE", "string", {
+    default: (config) => config.oauth2Scope,
+  }),
+  setting("availableOffersEndpoint", "FINTECHOS_AVAILABLE_OFFERS", "endpoint"),
+  setting(
+    "offerDetailsEndpoint",
+    "FINTECHOS_OFFER_DETAILS_ENDPOINT",
+    "endpoint",
+    { default: "/pfapi/api/v1/product/offer" },
+  ),
+  setting("journeysFile", "JOURNEYS_FILE", "string", {
+    transform: (value) => path.resolve(ROOT_DIR, value),
+  }),
+  setting("journeyName", "JOURNEY_NAME", "string", {
+    default: "Default journey",
+  }),
+  setting("defaultJourneyProduct", "DEFAULT_JOURNEY_PRODUCT", "string", {
+    default: "DAO6",
+  }),
+  setting("defaultJourneyClass", "DEFAULT_JOURNEY_CLASS", "string", {
+    default: "Personal",
+  }),
+  setting("defaultProductDependency", "DEFAULT_PRODUCT_DEPENDENCY", "string", {
+    default: "SharesAccount",
+  }),
+  setting("offerSelectionAttribute", "OFFER_SELECTION_ATTRIBUTE", "string", {
+    default: "selectedOffer",
+  }),
+  setting("offerInputs", "OFFER_INPUTS", "string", {
+    default: "",
+    transform: parseOfferInputs,
+  }),
+  setting(
+    "offersIncludeFailedAudience",
+    "OFFERS_INCLUDE_FAILED_AUDIENCE",
+    "boolean",
+    { default: false },
+  ),
+  setting(
+    "offerDetailsCacheTtlMs",
+    "OFFER_DETAILS_CACHE_TTL_SECONDS",
+    "seconds",
+    { default: 3600000 },
+  ),
+  setting(
+    "offerAvailabilityCacheTtlMs",
+    "OFFER_AVAILABILITY_CACHE_TTL_SECONDS",
+    "seconds",
+    { default: 60000 },
+  ),
+  setting("offersCacheStaleMs", "OFFERS_CACHE_STALE_SECONDS", "seconds", {
+    default: 600000,
+  }),
+  setting("offerDetailsConcurrency", "OFFER_DETAILS_CONCURRENCY", "integer", {
+    default: 4,
+    min: 1,
+  }),
+  setting("offerDetailsTimeoutMs", "OFFER_DETAILS_TIMEOUT_MS", "integer", {
+    default: 5000,
+    min: 1,
+  }),
+  setting("offerDetailsRetries", "OFFER_DETAILS_RETRIES", "integer", {
+    default: 2,
+  }),
+  setting(
+    "offerDetailsRetryDelayMs",
+    "OFFER_DETAILS_RETRY_DELAY_MS",
+    "integer",
+    { default: 200 },
+  ),
+  setting("upstreamTimeoutMs", "UPSTREAM_TIMEOUT_MS", "integer", {
+    default: 10000,
+    min: 1,
+  }),
+  setting("upstreamTimeouts", "UPSTREAM_TIMEOUTS", "string", {
+    default: "",
+    transform: parseTimeouts,
+  }),
+  setting("upstreamRetries", "UPSTREAM_RETRIES", "integer", { default: 2 }),
+  setting("upstreamRetryDelayMs", "UPSTREAM_RETRY_DELAY_MS", "integer", {
+    default: 200,
+  }),
+  setting("circuitBreakerThreshold", "CIRCUIT_BREAKER_THRESHOLD", "integer", {
+    default: 5,
+    min: 1,
+  }),
+  setting("circuitBreakerResetMs", "CIRCUIT_BREAKER_RESET_SECONDS", "seconds", {
+    default: 30000,
+    min: 1,
+  }),
+  setting("adminToken", "ADMIN_TOKEN", "string", { secret: true }),
+  setting("metricsToken", "METRICS_TOKEN", "string", { secret: true }),
+  setting("maxUploadBytes", "MAX_UPLOAD_BYTES", "integer", {
+    default: 10 * 1024 * 1024,
+    min: 1,
+  }),
+  setting("uploadAllowedTypes", "UPLOAD_ALLOWED_TYPES", "list", {
+    default: ["application/pdf", "image/jpeg", "image/png"],
+  }),
+  setting("sessionStore", "SESSION_STORE", "enum", {
+    values: ["memory", "file"],
+    default: "memory",
+  }),
+  setting("sessionFile", "SESSION_FILE", "string", {
+    default: path.resolve(__dirname, ".data/sessions.json"),
+  }),
+  setting("sessionSecret", "SESSION_SECRET", "string", { secret: true }),
+  setting("sessionTtlMs", "SESSION_TTL_SECONDS", "seconds", {
+    default: 3600000,
+    min: 1,
+  }),
+  setting("trustProxy", "TRUST_PROXY", "trustProxy", { default: false }),
+  setting("jsonBodyLimit", "JSON_BODY_LIMIT", "string", { default: "100kb" }),
+  setting("rateLimitWindowMs", "RATE_LIMIT_WINDOW_SECONDS", "seconds", {
+    default: 60000,
+    min: 1,
+  }),
+  setting("rateLimitPerIp", "RATE_LIMIT_PER_IP", "integer", { default: 120 }),
+  setting("rateLimitPerSession", "RATE_LIMIT_PER_SESSION", "integer", {
+    default: 60,
+  }),
+  setting("rateLimitInitPerIp", "RATE_LIMIT_INIT_PER_IP", "integer", {
+    default: 10,
+  }),
+  setting("rateLimitOffersPerIp", "RATE_LIMIT_OFFERS_PER_IP", "integer", {
+    default: 20,
+  }),
+  setting("rateLimitSavePerIp", "RATE_LIMIT_SAVE_PER_IP", "integer", {
+    default: 5,
+  }),
+  setting("maxJourneysPerSession", "MAX_JOURNEYS_PER_SESSION", "integer", {
+    default: 3,
+  }),
+  setting("tokenRefreshMarginMs", "TOKEN_REFRESH_MARGIN_SECONDS", "seconds", {
+    default: 60000,
+  }),
+  setting("forwardedTokens", "FORWARDED_TOKENS", "enum", {
+    values: ["deny", "verify", "allow"],
+    default: "deny",
+  }),
+  setting("jwksUrl", "FORWARDED_TOKEN_JWKS_URL", "url"),
+  setting("tokenIssuer", "FORWARDED_TOKEN_ISSUER", "string"),
+  setting("tokenAudience", "FORWARDED_TOKEN_AUDIENCE", "string"),
+  setting("jwksCacheTtlMs", "JWKS_CACHE_TTL_SECONDS", "seconds", {
+    default: 600000,
+  }),
+  setting("tokenClockToleranceMs", "TOKEN_CLOCK_TOLERANCE_SECONDS", "seconds", {
+    default: 30000,
+  }),
+  setting("oidcIssuer", "OIDC_ISSUER", "url"),
+  setting("oidcClientId", "OIDC_CLIENT_ID", "string"),
+  setting("oidcClientSecret", "OIDC_CLIENT_SECRET", "string", { secret: true }),
+  setting("oidcRedirectUri", "OIDC_REDIRECT_URI", "url"),
+  setting("oidcScope", "OIDC_SCOPE", "string", {
+    default: "openid profile email",
+  }),
+  setting("oidcPostLogoutRedirectUri", "OIDC_POST_LOGOUT_REDIRECT_URI", "url"),
+  setting("oidcRequired", "OIDC_REQUIRED", "boolean", { default: false }),
+  setting("publicBaseUrl", "PUBLIC_BASE_URL", "url", {
+    default: "http://localhost:5173",
+  }),
+  setting("resumeLinkTtlMs", "RESUME_LINK_TTL_SECONDS", "seconds", {
+    default: 3 * 24 * 3600000,
+    min: 1,
+  }),
+  setting("notifierTransport", "NOTIFIER_TRANSPORT", "enum", {
+    values: ["console", "file", "webhook"],
+    default: "console",
+  }),
+  setting("notifierFile", "NOTIFIER_FILE", "string", {
+    default: path.resolve(__dirname, ".data/outbox.jsonl"),
+  }),
+  setting("notifierWebhookUrl", "NOTIFIER_WEBHOOK_URL", "url"),
+  setting("logLevel", "LOG_LEVEL", "enum", {
+    values: LOG_LEVELS,
+    default: (_config, env) => (env.DEBUG_HTTP === "true" ? "debug" : "info"),
+  }),
+  setting("logRedactKeys", "LOG_REDACT_KEYS", "list", { default: [] }),
+  setting("logRedactAttributes", "LOG_REDACT_ATTRIBUTES", "list", {
+    default: ["*"],
+  }),
+];
+
+function crossCheck(config, env) {
+  const problems = [];
+  const warnings = [];
+
+  const hasUserName = Boolean(config.userName);
+  const hasPassword = Boolean(config.password);
+  const hasClientCredentials = Boolean(config.clientId && config.clientSecret);
+  if (hasUserName !== hasPassword) {
+    problems.push(
+      "FINTECHOS_USER_NAME and FINTECHOS_PASSWORD must be set together",
+    );
+  }
+  if (config.clientId && !config.clientSecret) {
+    problems.push(
+      "FINTECHOS_CLIENT_SECRET is required with FINTECHOS_CLIENT_ID",
+    );
+  }
+
+  if (!config.authMode) {
+    if (hasUserName && hasPassword) {
+      config.authMode = "password";
+    } else if (hasClientCredentials) {
+      config.authMode = config.oauth2TokenUrl ? "oauth2" : "client_credentials";
+    } else if (hasUserName === hasPassword) {
+      problems.push(
+        "Set FINTECHOS_USER_NAME/FINTECHOS_PASSWORD or FINTECHOS_CLIENT_ID/FINTECHOS_CLIENT_SECRET",
+      );
+    }
+  } else if (config.authMode === "password") {
+    if (!(hasUserName && hasPassword)) {
+      problems.push(
+        "FINTECHOS_AUTH_MODE=password needs FINTECHOS_USER_NAME and FINTECHOS_PASSWORD",
+      );
+    }
+  } else {
+    if (hasUserName || hasPassword) {
+      problems.push(
+        `FINTECHOS_AUTH_MODE=${config.authMode} cannot be combined with FINTECHOS_USER_NAME/FINTECHOS_PASSWORD`,
+      );
+    }
+    if (!hasClientCredentials) {
+      problems.push(
+        `FINTECHOS_AUTH_MODE=${config.authMode} needs FINTECHOS_CLIENT_ID and FINTECHOS_CLIENT_SECRET`,
+      );
+    }
+  }
+  if (config.authMode === "oauth2" && !config.oauth2TokenUrl) {
+    problems.push(
+      "FINTECHOS_AUTH_MODE=oauth2 needs FINTECHOS_OAUTH2_TOKEN_URL",
+    );
+  }
+
+  // PFAPI falls back to the journey client, but never half of it.
+  if (
+    Boolean(env.FINTECHOS_PFAPI_CLIENT_ID?.trim()) !==
+    Boolean(env.FINTECHOS_PFAPI_CLIENT_SECRET?.trim())
+  ) {
+    problems.push(
+      "FINTECHOS_PFAPI_CLIENT_ID and FINTECHOS_PFAPI_CLIENT_SECRET must be set together",
+    );
+  }
+  config.pfapiAuthMode ??= config.pfapiOauth2TokenUrl
+    ? "oauth2"
+    : "client_credentials";
+  if (
+    config.availableOffersEndpoint &&
+    !(config.pfapiClientId && config.pfapiClientSecret)
+  ) {
+    problems.push(
+      "PFAPI needs FINTECHOS_PFAPI_CLIENT_ID/FINTECHOS_PFAPI_CLIENT_SECRET or FINTECHOS_CLIENT_ID/FINTECHOS_CLIENT_SECRET",
+    );
+  }
+  if (config.pfapiAuthMode === "oauth2" && !config.pfapiOauth2TokenUrl) {
+    problems.push(
+      "FINTECHOS_PFAPI_AUTH_MODE=oauth2 needs FINTECHOS_PFAPI_OAUTH2_TOKEN_URL or FINTECHOS_OAUTH2_TOKEN_URL",
+    );
+  }
+
+  if (config.forwardedTokens === "verify") {
+    const missing = [
+      ["jwksUrl", "FORWARDED_TOKEN_JWKS_URL"],
+      ["tokenIssuer", "FORWARDED_TOKEN_ISSUER"],
+      ["tokenAudience", "FORWARDED_TOKEN_AUDIENCE"],
+    ].filter(([key]) => !config[key]);
+    if (missing.length > 0) {
+      problems.push(
+        `FORWARDED_TOKENS=verify needs ${missing.map(([, name]) => name).join(", ")}`,
+      );
+    }
+  } else if (config.forwardedTokens === "allow") {
+    warnings.push(
+      "FORWARDED_TOKENS=allow passes browser tokens to FintechOS unchecked",
+    );
+  }
+  if (!config.availableOffersEndpoint) {
+    warnings.push("FINTECHOS_AVAILABLE_OFFERS is not set; offers are disabled");
+  }
+
+  const oidc = [
+    ["oidcIssuer", "OIDC_ISSUER"],
+    ["oidcClientId", "OIDC_CLIENT_ID"],
+    ["oidcRedirectUri", "OIDC_REDIRECT_URI"],
+  ];
+  const missingOidc = oidc.filter(([key]) => !config[key]);
+  // Login is off until one of these is set, then it needs all of them.
+  if (
+    missingOidc.length > 0 &&
+    (config.oidcRequired || missingOidc.length < oidc.length)
+  ) {
+    problems.push(
+      `Customer login needs ${missingOidc.map(([, name]) => name).join(", ")}`,
+    );
+  }
+
+  if (config.notifierTransport === "webhook" && !config.notifierWebhookUrl) {
+    problems.push("NOTIFIER_TRANSPORT=webhook needs NOTIFIER_WEBHOOK_URL");
+  }
+  if (env.NODE_ENV === "production") {
+    if (config.notifierTransport !== "webhook") {
+      warnings.push(
+        `NOTIFIER_TRANSPORT=${config.notifierTransport} keeps resume links on this server instead of sending them`,
+      );
+    }
+    if (!env.PUBLIC_BASE_URL?.trim()) {
+      warnings.push(
+        "PUBLIC_BASE_URL is not set; resume links point at http://localhost:5173",
+      );
+    }
+  }
+
+  if (!config.sessionSecret && env.NODE_ENV === "production") {
+    warnings.push(
+      "SESSION_SECRET is not set; journey sessions will not survive a restart",
+    );
+  }
+
+  const known = new Set(SCHEMA.flatMap((entry) => entry.env));
+  for (const name of Object.keys(env)) {
+    if (name.startsWith("FINTECHOS_") && !known.has(name)) {
+      warnings.push(`Unknown setting ${name} is ignored`);
+    }
+  }
+
+  return { problems, warnings };
+}
+
+function resolveConfig(env = process.env) {
+  const config = {};
+  const entries = [];
+  const problems = [];
+
+  for (const entry of SCHEMA) {
+    const name = entry.env.find((candidate) => env[candidate]?.trim());
+    let value;
+    if (name) {
+      try {
+        value = TYPES[entry.type](env[name], entry);
+        if (entry.transform) {
+          value = entry.transform(value);
+        }
+      } catch (error) {
+        problems.push(`${name}: ${error.message}`);
+      }
+    } else if (entry.required) {
+      problems.push(`${entry.env[0]} is required`);
+    } else {
+      value =
+        typeof entry.default === "function"
+          ? entry.default(config, env)
+          : entry.transform && entry.default !== undefined
+            ? entry.transform(entry.default)
+            : entry.default;
+    }
+
+    config[entry.key] = value;
+    entries.push({
+      key: entry.key,
+      env: name || entry.env[0],
+      source: name ? "env" : "default",
+      secret: Boolean(entry.secret),
+    });
+  }
+
+  const checks = crossCheck(config, env);
+  problems.push(...checks.problems);
+  for (const entry of entries) {
+    entry.value = config[entry.key];
+  }
+
+  return { config, entries, problems, warnings: checks.warnings };
+}
+
+function loadConfig(env = process.env) {
+  const { config, problems, warnings } = resolveConfig(env);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return { config, warnings };
+}
+
+// `.env.<profile>` wins over `.env`; both lose to the real environment.
+function loadEnvFiles({ dir = ROOT_DIR, profile, env = process.env } = {}) {
+  if (profile && !/^[\w-]+$/.test(profile)) {
+    throw new ConfigError([`CONFIG_PROFILE: invalid profile "${profile}"`]);
+  }
+
+  const files = [...(profile ? [`.env.${profile}`] : []), ".env"];
+  const loaded = [];
+  const sources = {};
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) {
+      if (file !== ".env") {
+        throw new ConfigError([`Profile file ${file} does not exist`]);
+      }
+      continue;
+    }
+
+    loaded.push(file);
+    const parsed = dotenv.parse(fs.readFileSync(filePath));
+    for (const [name, value] of Object.entries(parsed)) {
+      if (env[name] === undefined) {
+        env[name] = value;
+        sources[name] = file;
+      }
+    }
+  }
+
+  return { files: loaded, sources };
+}
+
+function maskValue(value) {
+  return value ? "********" : value;
+}
+
+function formatValue(value) {
+  if (value === undefined || value === "") {
+    return "(not set)";
+  }
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function describeConfig({ entries }, { sources = {} } = {}) {
+  return entries.map((entry) => ({
+    key: entry.key,
+    env: entry.env,
+    value: formatValue(entry.secret ? maskValue(entry.value) : entry.value),
+    source: entry.source === "env" ? sources[entry.env] || "env" : "default",
+  }));
+}
+
+module.exports = {
+  ConfigError,
+  normalizeEndpoint,
+  resolveConfig,
+  loadConfig,
+  loadEnvFiles,
+  describeConfig,
+};
@@ -0,0 +1,52 @@
+function parseAcceptLanguage(header) {
+  return String(header || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const quality = params
+        .map((param) => param.trim())
+        .find((param) => param.startsWith("q="));
+      return {
+        tag: tag.trim(),
+        q: quality ? Number(quality.slice(2)) : 1,
+        index,
+      };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+function matchCulture(tag, supported) {
+  const wanted = tag.toLowerCase();
+  const language = wanted.split("-")[0];
+  return (
+    supported.find((culture) => culture.toLowerCase() === wanted) ||
+    supported.find(
+      (culture) => culture.toLowerCase().split("-")[0] === language,
+    ) ||
+    null
+  );
+}
+
+function negotiateCulture(header, supported) {
+  for (const tag of parseAcceptLanguage(header)) {
+    const culture = matchCulture(tag, supported);
+    if (culture) {
+      return culture;
+    }
+  }
+
+  return null;
+}
+
+function withCulture(url, culture) {
+  const separator = url.includes("?") ? "&" : "?";
+  return `${url}${separator}culture=${encodeURIComponent(culture)}`;
+}
+
+module.exports = {
+  parseAcceptLanguage,
+  negotiateCulture,
+  withCulture,
+};
@@ -0,0 +1,33 @@
+// Form values typed on the current step but not sent yet, one draft per journey
+// session. They are kept next to the session rather than in it, so an autosave
+// cannot overwrite what next/previous just stored. Saving uses the session TTL
+// and the caller touches the session, so both expire together.
+function createDraftStore({ store, ttlMs, now = Date.now }) {
+  const keyFor = (sessionId) => `draft:${sessionId}`;
+
+  async function load(sessionId, externalId) {
+    const draft = await store.get(keyFor(sessionId));
+    return draft?.externalId === externalId ? draft : null;
+  }
+
+  async function save(sessionId, { externalId, step, values }) {
+    const draft = {
+      externalId,
+      step,
+      values,
+      savedAt: new Date(now()).toISOString(),
+    };
+    await store.set(keyFor(sessionId), draft, ttlMs);
+    return draft;
+  }
+
+  async function clear(sessionId) {
+    await store.destroy(keyFor(sessionId));
+  }
+
+  return { load, save, clear };
+}
+
+module.exports = {
+  createDraftStore,
+};
@@ -0,0 +1,235 @@
+const PASSTHROUGH_STATUSES = new Set([400, 401, 404, 409, 422]);
+
+const CODES_BY_STATUS = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  422: "VALIDATION_ERROR",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+  503: "UPSTREAM_UNAVAILABLE",
+  504: "UPSTREAM_TIMEOUT",
+};
+
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+]);
+
+const TIMEOUT_ERROR_CODES = new Set(["ECONNABORTED", "ETIMEDOUT"]);
+
+class ApiError extends Error {
+  constructor(
+    status,
+    message,
+    { code, fieldErrors, expose, retryAfterSeconds } = {},
+  ) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code || CODES_BY_STATUS[status] || "INTERNAL_ERROR";
+    this.fieldErrors = fieldErrors || [];
+    this.expose = expose ?? status < 500;
+    this.retryAfterSeconds = retryAfterSeconds ?? null;
+  }
+}
+
+function firstString(...values) {
+  return values.find((value) => typeof value === "string" && value.trim());
+}
+
+function fieldErrorEntry(field, message) {
+  const text = Array.isArray(message) ? message.find(Boolean) : message;
+  if (!field || typeof text !== "string" || !text) {
+    return null;
+  }
+
+  return { field: String(field), message: text };
+}
+
+function parseFieldErrors(data) {
+  const source =
+    data.fieldErrors ||
+    data.validationErrors ||
+    data.ValidationErrors ||
+    data.errors ||
+    data.Errors;
+
+  if (Array.isArray(source)) {
+    return source
+      .map((entry) =>
+        entry && typeof entry === "object"
+          ? fieldErrorEntry(
+              entry.field ||
+                entry.attribute ||
+                entry.attributeName ||
+                entry.propertyName ||
+                entry.PropertyName ||
+                entry.name ||
+                entry.key,
+              entry.message ||
+                entry.Message ||
+                entry.errorMessage ||
+                entry.ErrorMessage ||
+                entry.error,
+            )
+          : null,
+      )
+      .filter(Boolean);
+  }
+
+  if (source && typeof source === "object") {
+    return Object.entries(source)
+      .map(([field, message]) => fieldErrorEntry(field, message))
+      .filter(Boolean);
+  }
+
+  return [];
+}
+
+// A plain-text body can be a stack trace or an HTML error page, so it is only
+// used as the message when details are exposed.
+function parseUpstreamBody(data, { exposeText = true } = {}) {
+  if (typeof data === "string") {
+    return {
+      message: exposeText && data.length <= 500 ? data.trim() : null,
+      fieldErrors: [],
+    };
+  }
+
+  if (!data || typeof data !== "object") {
+    return { message: null, fieldErrors: [] };
+  }
+
+  return {
+    message:
+      firstString(
+        data.message,
+        data.Message,
+        data.errorMessage,
+        data.ErrorMessage,
+        data.error_description,
+        data.detail,
+        data.title,
+        data.error,
+      ) || null,
+    fieldErrors: parseFieldErrors(data),
+    correlationId:
+      firstString(data.correlationId, data.CorrelationId, data.traceId) || null,
+  };
+}
+
+function resolveFieldName(field, attributes) {
+  const indexMatch = /^values\[(\d+)\]/i.exec(field);
+  if (indexMatch && attributes[Number(indexMatch[1])]) {
+    return attributes[Number(indexMatch[1])];
+  }
+
+  const key = field.replace(/^values\./i, "").toLowerCase();
+  return (
+    attributes.find((attribute) => attribute.toLowerCase() === key) || field
+  );
+}
+
+function fieldErrorsForValues(fieldErrors, values) {
+  const attributes = (Array.isArray(values) ? values : [])
+    .map((entry) => entry?.attribute)
+    .filter((attribute) => typeof attribute === "string");
+
+  const resolved = fieldErrors.map((entry) => ({
+    field: resolveFieldName(entry.field, attributes),
+    message: entry.message,
+  }));
+
+  const byField = {};
+  for (const entry of resolved) {
+    if (byField[entry.field] === undefined) {
+      byField[entry.field] = entry.message;
+    }
+  }
+
+  return { fieldErrors: resolved, errorsByField: byField };
+}
+
+function correlationIdFrom(response) {
+  const headers = response?.headers || {};
+  return (
+    firstString(
+      headers["x-correlation-id"],
+      headers["x-request-id"],
+      headers["request-id"],
+    ) || null
+  );
+}
+
+function toErrorResponse(
+  error,
+  fallbackMessage,
+  { exposeDetails = true } = {},
+) {
+  if (error instanceof ApiError) {
+    return {
+      status: error.status,
+      body: {
+        code: error.code,
+        message:
+          error.expose || exposeDetails ? error.message : fallbackMessage,
+        fieldErrors: error.fieldErrors,
+        upstreamStatus: null,
+        correlationId: null,
+      },
+    };
+  }
+
+  const upstream = error.response;
+  if (upstream) {
+    const parsed = parseUpstreamBody(upstream.data, {
+      exposeText: exposeDetails,
+    });
+    const status = PASSTHROUGH_STATUSES.has(upstream.status)
+      ? upstream.status
+      : 502;
+
+    return {
+      status,
+      body: {
+        code: CODES_BY_STATUS[status],
+        message: parsed.message || fallbackMessage,
+        fieldErrors: parsed.fieldErrors,
+        upstreamStatus: upstream.status,
+        correlationId:
+          correlationIdFrom(upstream) || parsed.correlationId || null,
+        ...(exposeDetails ? { details: upstream.data ?? null } : {}),
+      },
+    };
+  }
+
+  const status = TIMEOUT_ERROR_CODES.has(error.code)
+    ? 504
+    : NETWORK_ERROR_CODES.has(error.code) || error.request
+      ? 503
+      : 500;
+
+  return {
+    status,
+    body: {
+      code: CODES_BY_STATUS[status],
+      message: fallbackMessage,
+      fieldErrors: [],
+      upstreamStatus: null,
+      correlationId: null,
+      ...(exposeDetails ? { details: error.message } : {}),
+    },
+  };
+}
+
+module.exports = {
+  ApiError,
+  fieldErrorsForValues,
+  parseUpstreamBody,
+  toErrorResponse,
+};
@@ -1,82 +1,239 @@
 const express = require("express");
+const crypto = require("crypto");
 const cors = require("cors");
-const axios = require("axios");
-const path = require("path");
-const dotenv = require("dotenv");
-
-dotenv.config({ path: path.resolve(__dirname, "../.env") });
+const FormData = require("form-data");
+const { staticTokenSource } = require("./tokenManager");
+const { ApiError, fieldErrorsForValues, toErrorResponse } = require("./errors");
+const { receiveUpload } = require("./uploads");
+const { createSessionStore, createSessionManager } = require("./sessions");
+const { createRateLimiter } = require("./rateLimit");
+const { loadJourneyRegistry } = require("./journeyRegistry");
+const { negotiateCulture, withCulture } = require("./cultures");
+const {
+  offerInputAttributes,
+  buildOfferInput,
+  collectAnswers,
+} = require("./offerInputs");
+const { mapOffer } = require("./offers");
+const { createCache } = require("./cache");
+const { isRetryableError, mapWithConcurrency } = require("./resilience");
+const { createUpstreamClient } = require("./upstream");
+const { createLogger, createRedactor, runWithContext } = require("./logger");
+const { createMetricsRegistry } = require("./metrics");
+const { ConfigError, loadConfig, loadEnvFiles } = require("./config");
+const {
+  createAuthProvider,
+  createTokenVerifier,
+  decodeJwtPayload,
+} = require("./auth");
+const { createOidcClient } = require("./oidc");
+const { createApplicationIndex } = require("./applications");
+const { createResumeLinks } = require("./resumeLinks");
+const { createNotifier } = require("./notifier");
+const { createDraftStore } = require("./drafts");
+
+loadEnvFiles({ profile: process.env.CONFIG_PROFILE });
+const { config, warnings: configWarnings } = loadConfig(process.env);
 
 const app = express();
-const port = process.env.PORT || 3000;
-const debugHttp =
-  process.env.DEBUG_HTTP === "true" ||
-  (process.env.DEBUG_HTTP !== "false" && process.env.NODE_ENV !== "production");
+const exposeErrorDetails = process.env.NODE_ENV !== "production";
+
+const logger = createLogger({
+  level: config.logLevel,
+  redact: createRedactor({
+    keys: config.logRedactKeys,
+    attributes: config.logRedactAttributes,
+  }),
+});
+
+const metrics = createMetricsRegistry();
+const httpRequests = metrics.counter({
+  name: "http_requests_total",
+  help: "API requests by route and status",
+  labelNames: ["method", "route", "status"],
+});
+const httpDuration = metrics.histogram({
+  name: "http_request_duration_seconds",
+  help: "API request latency by route",
+  labelNames: ["method", "route"],
+});
+const apiErrors = metrics.counter({
+  name: "api_errors_total",
+  help: "API error responses by status and error code",
+  labelNames: ["status", "code"],
+});
+const upstreamRequests = metrics.counter({
+  name: "upstream_requests_total",
+  help: "FintechOS and PFAPI calls by endpoint and outcome",
+  labelNames: ["upstream", "endpoint", "status"],
+});
+const upstreamDuration = metrics.histogram({
+  name: "upstream_request_duration_seconds",
+  help: "FintechOS and PFAPI call latency, retries included",
+  labelNames: ["upstream", "endpoint"],
+});
+const tokenRefreshes = metrics.counter({
+  name: "token_refreshes_total",
+  help: "Upstream token fetches by result",
+  labelNames: ["upstream", "result"],
+});
+const journeyEvents = metrics.counter({
+  name: "journey_events_total",
+  help: "Journey funnel: started, next, previous, completed and saved journeys",
+  labelNames: ["journey", "event"],
+});
+const journeySteps = metrics.counter({
+  name: "journey_steps_reached_total",
+  help: "Journey steps loaded after init, next or previous",
+  labelNames: ["journey", "step"],
+});
 
+if (config.trustProxy) {
+  app.set("trust proxy", config.trustProxy);
+}
+
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = /^[\w.:-]{1,128}$/.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+    logger.info("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs),
+    });
+  });
+  next();
+});
 app.use(cors());
-app.use(express.json());
-
-const config = {
-  baseUrl: process.env.FINTECHOS_BASE_URL,
-  authTokenEndpoint:
-    process.env.FINTECHOS_AUTH_TOKEN_ENDPOINT ||
-    "/ftosapi/authentication/keycloakToken",
-  clientId: process.env.FINTECHOS_CLIENT_ID,
-  clientSecret: process.env.FINTECHOS_CLIENT_SECRET,
-  userName: process.env.FINTECHOS_USER_NAME,
-  password: process.env.FINTECHOS_PASSWORD,
-  culture: (process.env.FINTECHOS_CULTURE || "").trim(),
-  startEndpoint: process.env.FINTECHOS_START_ENDPOINT,
-  loadMetadataEndpoint: process.env.FINTECHOS_LOAD_METADATA_ENDPOINT,
-  loadStepEndpoint: process.env.FINTECHOS_LOAD_STEP_ENDPOINT,
-  nextEndpoint: process.env.FINTECHOS_NEXT_ENDPOINT,
-  previousEndpoint: process.env.FINTECHOS_PREVIOUS_ENDPOINT,
-  pfapiBaseUrl:
-    process.env.FINTECHOS_PFAPI_BASE_URL || process.env.FINTECHOS_BASE_URL,
-  pfapiTokenEndpoint:
-    process.env.FINTECHOS_PFAPI_TOKEN_ENDPOINT ||
-    process.env.FINTECHOS_AUTH_PFAPI_TOKEN_ENDPOINT ||
-    "/pfapi/Authentication/token",
-  availableOffersEndpoint: process.env.FINTECHOS_AVAILABLE_OFFERS,
-  offerDetailsEndpoint:
-    process.env.FINTECHOS_OFFER_DETAILS_ENDPOINT ||
-    "/pfapi/api/v1/product/offer",
-  defaultJourneyProduct: process.env.DEFAULT_JOURNEY_PRODUCT || "DAO6",
-  defaultJourneyClass: process.env.DEFAULT_JOURNEY_CLASS || "Personal",
-  defaultProductDependency:
-    process.env.DEFAULT_PRODUCT_DEPENDENCY || "SharesAccount",
-};
+app.use(express.json({ limit: config.jsonBodyLimit }));
+// Bound after the body parser, which would otherwise drop the context.
+app.use((req, _res, next) => runWithContext({ requestId: req.id }, next));
+
+for (const warning of configWarnings) {
+  logger.warn(warning);
+}
+
+const sessionStore = createSessionStore({
+  type: config.sessionStore,
+  filePath: config.sessionFile,
+});
+const sessionSecret =
+  config.sessionSecret || crypto.randomBytes(32).toString("hex");
+
+const sessions = createSessionManager({
+  store: sessionStore,
+  secret: sessionSecret,
+  ttlMs: config.sessionTtlMs,
+  secure: process.env.NODE_ENV === "production",
+});
+
+// Customer logins outlive any one journey, so they get their own cookie.
+const users = createSessionManager({
+  store: sessionStore,
+  secret: sessionSecret,
+  ttlMs: config.sessionTtlMs,
+  cookieName: "user_sid",
+  secure: process.env.NODE_ENV === "production",
+});
+
+const applications = createApplicationIndex({
+  store: sessionStore,
+  ttlMs: config.sessionTtlMs,
+});
+
+const drafts = createDraftStore({
+  store: sessionStore,
+  ttlMs: config.sessionTtlMs,
+});
 
-function validateEnv() {
-  const commonRequired = [
-    "baseUrl",
+const resumeLinks = createResumeLinks({
+  store: sessionStore,
+  secret: sessionSecret,
+  ttlMs: config.resumeLinkTtlMs,
+});
+
+const journeys = loadJourneyRegistry({
+  filePath: config.journeysFile,
+  defaultJourney: { key: "default", name: config.journeyName },
+  defaults: () => ({
+    culture: config.culture,
+    startEndpoint: config.startEndpoint,
+    loadMetadataEndpoint: config.loadMetadataEndpoint,
+    loadStepEndpoint: config.loadStepEndpoint,
+    nextEndpoint: config.nextEndpoint,
+    previousEndpoint: config.previousEndpoint,
+    documentUploadEndpoint: config.documentUploadEndpoint,
+    product: config.defaultJourneyProduct,
+    className: config.defaultJourneyClass,
+    productDependency: config.defaultProductDependency,
+    selectionAttribute: config.offerSelectionAttribute,
+    inputs: config.offerInputs,
+  }),
+});
+
+checkJourneys();
+
+function checkJourneys() {
+  const problems = [];
+  for (const { key } of journeys.list()) {
+    try {
+      validateJourney(resolveJourney(key));
+    } catch (error) {
+      problems.push(`Journey "${key}": ${error.message}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+}
+
+function resolveJourney(journeyKey) {
+  const journey = journeys.resolve(journeyKey);
+  if (!journey) {
+    throw new ApiError(404, `Unknown journey: ${journeyKey}`, {
+      code: "JOURNEY_NOT_FOUND",
+    });
+  }
+
+  return journey;
+}
+
+function journeyForRequest(req, journeyKey) {
+  const journey = resolveJourney(journeyKey);
+  const culture = negotiateCulture(
+    req.headers["accept-language"],
+    config.supportedCultures,
+  );
+  return culture ? { ...journey, culture } : journey;
+}
+
+// Credentials and the other settings are checked by loadConfig.
+function validateJourney(journey) {
+  const missing = [
     "culture",
     "startEndpoint",
     "loadMetadataEndpoint",
     "loadStepEndpoint",
     "nextEndpoint",
     "previousEndpoint",
-  ];
-
-  const missing = commonRequired.filter((key) => !config[key]);
-
-  const hasUserPassword = Boolean(config.userName && config.password);
-  const hasClientCredentials = Boolean(config.clientId && config.clientSecret);
-  if (!hasUserPassword && !hasClientCredentials) {
-    missing.push(
-      "auth credentials (FINTECHOS_USER_NAME/PASSWORD or FINTECHOS_CLIENT_ID/SECRET)",
-    );
-  }
+  ].filter((key) => !journey[key]);
 
   if (missing.length > 0) {
     throw new Error(`Missing env vars: ${missing.join(", ")}`);
   }
 }
 
-function withCulture(url) {
-  const separator = url.includes("?") ? "" : "?culture=";
-  return `${url}${separator}${encodeURIComponent(config.culture)}`;
-}
-
 function absoluteUrl(endpoint) {
   return `${config.baseUrl}${endpoint}`;
 }
@@ -85,382 +242,1044 @@ function absolutePfapiUrl(endpoint) {
   return `${config.pfapiBaseUrl}${endpoint}`;
 }
 
-function extractToken(payload) {
-  if (typeof payload === "string") {
-    return payload.replace(/^"|"$/g, "");
-  }
-
-  if (payload && typeof payload === "object") {
-    return (
-      payload.accessToken ||
-      payload.access_token ||
-      payload.token ||
-      payload.jwt ||
-      payload.id_token ||
-      null
-    );
+function getBearerTokenFromRequest(req) {
+  const header = req.headers.authorization || "";
+  if (!header.toLowerCase().startsWith("bearer ")) {
+    return null;
   }
 
-  return null;
+  return header.slice(7).trim();
 }
 
-function debugLog(label, value) {
-  if (!debugHttp) {
-    return;
-  }
+function debugToken(token, source) {
+  const claims = decodeJwtPayload(token);
+  logger.debug("Token info", {
+    source,
+    azp: claims?.azp || null,
+    sub: claims?.sub || null,
+  });
+}
 
-  console.log(`[DEBUG] ${label}:`, JSON.stringify(value, null, 2));
+function loadUser(req) {
+  return oidc ? users.load(req) : null;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+async function requireUser(req) {
+  const session = await loadUser(req);
+  if (!session?.user) {
+    throw new ApiError(401, "Sign in to continue", { code: "LOGIN_REQUIRED" });
+  }
+  return session;
 }
 
-function decodeJwtPayload(token) {
-  try {
-    const parts = token.split(".");
-    if (parts.length < 2) {
-      return null;
+const userTokenRefreshes = new Map();
+
+// Journey calls for a signed-in customer run with their own token.
+function userAuth(res, session) {
+  let { tokens } = session;
+
+  function refresh() {
+    if (!userTokenRefreshes.has(session.id)) {
+      const pending = oidc
+        .refresh(tokens)
+        .then(
+          async (refreshed) => {
+            await users.save(res, { ...session, tokens: refreshed });
+            return refreshed;
+          },
+          async (error) => {
+            if (error.code === "LOGIN_EXPIRED") {
+              await users.destroy(res, session);
+            }
+            throw error;
+          },
+        )
+        .finally(() => userTokenRefreshes.delete(session.id));
+      userTokenRefreshes.set(session.id, pending);
     }
-
-    const base64 = parts[1].replace(/-/g, "+").replace(/_/g, "/");
-    const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
-    return JSON.parse(Buffer.from(padded, "base64").toString("utf8"));
-  } catch (_error) {
-    return null;
+    return userTokenRefreshes.get(session.id);
   }
+
+  return {
+    async getToken() {
+      if (tokens.expiresAt - config.tokenRefreshMarginMs <= Date.now()) {
+        tokens = await refresh();
+      }
+      return tokens.accessToken;
+    },
+    invalidate(token) {
+      if (tokens.accessToken === token) {
+        tokens = { ...tokens, expiresAt: 0 };
+      }
+    },
+  };
 }
 
-function getBearerTokenFromRequest(req) {
-  const header = req.headers.authorization || "";
-  if (!header.toLowerCase().startsWith("bearer ")) {
-    return null;
+async function resolveAuth(req, res) {
+  const forwardedToken = getBearerTokenFromRequest(req);
+  if (!forwardedToken) {
+    const session = await loadUser(req);
+    if (session?.tokens) {
+      return userAuth(res, session);
+    }
+    if (config.oidcRequired) {
+      throw new ApiError(401, "Sign in to continue", {
+        code: "LOGIN_REQUIRED",
+      });
+    }
+    return journeyAuth;
   }
 
-  return header.slice(7).trim();
+  if (config.forwardedTokens === "deny") {
+    throw new ApiError(401, "Forwarded tokens are not accepted", {
+      code: "FORWARDED_TOKEN_NOT_ALLOWED",
+    });
+  }
+  if (config.forwardedTokens === "verify") {
+    await forwardedTokens.verify(forwardedToken);
+  }
+
+  debugToken(forwardedToken, "forwarded-from-request");
+  return staticTokenSource(forwardedToken);
 }
 
-function debugToken(token, source) {
-  const claims = decodeJwtPayload(token);
-  // debugLog('Token info', {
-  //   source,
-  //   azp: claims?.azp || null,
-  //   preferred_username: claims?.preferred_username || null,
-  //   sub: claims?.sub || null,
-  // });
+function upstreamClient(name, options) {
+  return createUpstreamClient({
+    name,
+    timeoutMs: config.upstreamTimeoutMs,
+    timeouts: config.upstreamTimeouts,
+    retries: config.upstreamRetries,
+    retryDelayMs: config.upstreamRetryDelayMs,
+    failureThreshold: config.circuitBreakerThreshold,
+    resetMs: config.circuitBreakerResetMs,
+    logger,
+    onComplete: ({ endpoint, status, durationMs }) => {
+      upstreamRequests.inc({ upstream: name, endpoint, status });
+      upstreamDuration.observe({ upstream: name, endpoint }, durationMs / 1000);
+    },
+    ...options,
+  });
 }
 
-async function resolveToken(req) {
-  const forwardedToken = getBearerTokenFromRequest(req);
-  if (forwardedToken) {
-    debugToken(forwardedToken, "forwarded-from-request");
-    return forwardedToken;
-  }
+const fintechos = upstreamClient("FintechOS", {
+  timeouts: { upload: 60000, ...config.upstreamTimeouts },
+  describeResponse: (data) => ({
+    nextStep: data?.nextStep || null,
+    externalId: data?.externalId || null,
+    instanceId: data?.instanceId || null,
+  }),
+});
 
-  const generatedToken = await getToken();
-  const source =
-    config.userName && config.password
-      ? "username-password"
-      : "client-credentials";
-  debugToken(generatedToken, source);
-  return generatedToken;
-}
+const pfapi = upstreamClient("PFAPI", {
+  accept: "text/plain",
+  timeouts: {
+    offerDetails: config.offerDetailsTimeoutMs,
+    ...config.upstreamTimeouts,
+  },
+});
 
-async function getToken() {
-  const useUserPassword = Boolean(config.userName && config.password);
-  const url = useUserPassword
-    ? absoluteUrl(config.authTokenEndpoint)
-    : absoluteUrl("/pfapi/Authentication/token");
+const oauth2 = upstreamClient("OAuth2");
 
-  const requestBody = useUserPassword
-    ? {
-        userName: config.userName,
-        password: config.password,
-      }
-    : {
-        clientId: config.clientId,
-        clientSecret: config.clientSecret,
-      };
+const notifications = upstreamClient("Notifier");
 
-  // debugLog('Auth request', {
-  //   mode: useUserPassword ? 'username-password' : 'client-credentials',
-  //   url,
-  // });
+const notifier = createNotifier({
+  transport: config.notifierTransport,
+  logger,
+  filePath: config.notifierFile,
+  client: notifications,
+  url: config.notifierWebhookUrl,
+});
 
-  const response = await axios.post(url, requestBody, {
-    headers: {
-      accept: "application/json",
-      "Content-Type": "application/json",
-    },
+function authProvider(name, client, { mode, ...settings }) {
+  return createAuthProvider({
+    name,
+    mode,
+    settings,
+    client: mode === "oauth2" ? oauth2 : client,
+    refreshMarginMs: config.tokenRefreshMarginMs,
+    onRefresh: ({ ok }) =>
+      tokenRefreshes.inc({
+        upstream: name,
+        result: ok ? "success" : "failure",
+      }),
   });
+}
 
-  const token = extractToken(response.data);
-  if (!token) {
-    throw new Error("Could not extract token from authentication response");
-  }
+const journeyAuth = authProvider("FintechOS", fintechos, {
+  mode: config.authMode,
+  tokenUrl: {
+    password: absoluteUrl(config.authTokenEndpoint),
+    client_credentials: absoluteUrl(config.clientTokenEndpoint),
+    oauth2: config.oauth2TokenUrl,
+  }[config.authMode],
+  userName: config.userName,
+  password: config.password,
+  clientId: config.clientId,
+  clientSecret: config.clientSecret,
+  scope: config.oauth2Scope,
+});
+
+const pfapiAuth = authProvider("PFAPI", pfapi, {
+  mode: config.pfapiAuthMode,
+  tokenUrl:
+    config.pfapiAuthMode === "oauth2"
+      ? config.pfapiOauth2TokenUrl
+      : absolutePfapiUrl(config.pfapiTokenEndpoint),
+  clientId: config.pfapiClientId,
+  clientSecret: config.pfapiClientSecret,
+  scope: config.pfapiOauth2Scope,
+});
+
+const oidc = config.oidcIssuer
+  ? createOidcClient({
+      client: oauth2,
+      issuer: config.oidcIssuer,
+      clientId: config.oidcClientId,
+      clientSecret: config.oidcClientSecret,
+      redirectUri: config.oidcRedirectUri,
+      scope: config.oidcScope,
+      postLogoutRedirectUri: config.oidcPostLogoutRedirectUri,
+      clockToleranceMs: config.tokenClockToleranceMs,
+      jwksCacheTtlMs: config.jwksCacheTtlMs,
+    })
+  : null;
+
+const forwardedTokens = createTokenVerifier({
+  issuer: config.tokenIssuer,
+  audience: config.tokenAudience,
+  cacheTtlMs: config.jwksCacheTtlMs,
+  clockToleranceMs: config.tokenClockToleranceMs,
+  fetchJwks: () =>
+    oauth2.request({ method: "GET", url: config.jwksUrl, endpoint: "jwks" }),
+});
+
+const offerCaches = {
+  details: createCache({
+    ttlMs: config.offerDetailsCacheTtlMs,
+    staleMs: config.offersCacheStaleMs,
+  }),
+  availability: createCache({
+    ttlMs: config.offerAvailabilityCacheTtlMs,
+    staleMs: config.offersCacheStaleMs,
+  }),
+};
 
-  return token;
+function loadOfferDetails(auth, offerId, culture) {
+  const url = `${absolutePfapiUrl(config.offerDetailsEndpoint)}/${offerId}/details`;
+  return offerCaches.details.get(`${culture}:${offerId}`, () =>
+    pfapiRequest({
+      method: "GET",
+      url,
+      endpoint: "offerDetails",
+      auth,
+      culture,
+      retries: config.offerDetailsRetries,
+      retryDelayMs: config.offerDetailsRetryDelayMs,
+    }),
+  );
 }
 
-function validatePfapiEnv() {
-  const required = [
-    "pfapiBaseUrl",
-    "pfapiTokenEndpoint",
-    "availableOffersEndpoint",
-    "offerDetailsEndpoint",
-    "clientId",
-    "clientSecret",
-  ];
+function pfapiRequest({ culture, ...options }) {
+  return pfapi.request({
+    ...options,
+    headers: culture ? { "Accept-Language": culture } : {},
+  });
+}
 
-  const missing = required.filter((key) => !config[key]);
-  if (missing.length > 0) {
-    throw new Error(`Missing PFAPI env vars: ${missing.join(", ")}`);
-  }
+function fintechosRequest(options) {
+  return fintechos.request(options);
 }
 
-async function getPfapiToken() {
-  const url = absolutePfapiUrl(config.pfapiTokenEndpoint);
-  debugLog("PFAPI auth request", { url });
+async function loadJourneyMetadata(auth, journey) {
+  const base = absoluteUrl(journey.loadMetadataEndpoint);
+  const url = withCulture(base, journey.culture);
+  return fintechosRequest({ method: "GET", url, endpoint: "metadata", auth });
+}
 
-  const response = await axios.post(
+async function startJourney(auth, journey) {
+  const base = absoluteUrl(journey.startEndpoint);
+  const url = withCulture(base, journey.culture);
+  return fintechosRequest({
+    method: "POST",
     url,
-    {
-      clientId: config.clientId,
-      clientSecret: config.clientSecret,
-    },
-    {
-      headers: {
-        accept: "application/json",
-        "Content-Type": "application/json",
-      },
-    },
+    endpoint: "start",
+    auth,
+    data: {},
+  });
+}
+
+function isStepNotReady(error) {
+  return (
+    error.response?.status === 404 && Boolean(error.response.data?.message)
   );
+}
 
-  const token = extractToken(response.data);
-  if (!token) {
-    throw new Error(
-      "Could not extract token from PFAPI authentication response",
-    );
-  }
+async function loadStep(auth, journey, externalId, { afterTransition } = {}) {
+  const base = `${absoluteUrl(journey.loadStepEndpoint)}/${externalId}`;
+  const url = withCulture(base, journey.culture);
+  // Right after next/previous FintechOS may answer 404 until the step exists.
+  return fintechosRequest({
+    method: "GET",
+    url,
+    endpoint: "loadStep",
+    auth,
+    ...(afterTransition
+      ? {
+          retries: Math.max(config.upstreamRetries, 3),
+          shouldRetry: (error) =>
+            isStepNotReady(error) || isRetryableError(error),
+        }
+      : {}),
+  });
+}
 
-  return token;
+async function nextStep(auth, journey, externalId, values) {
+  const base = `${absoluteUrl(journey.nextEndpoint)}/${externalId}`;
+  const url = withCulture(base, journey.culture);
+  return fintechosRequest({
+    method: "POST",
+    url,
+    endpoint: "next",
+    auth,
+    data: { values: values || [] },
+  });
 }
 
-async function pfapiRequest({ method, url, token, data }) {
-  debugLog("PFAPI request", {
-    method,
+async function previousStep(auth, journey, externalId, values) {
+  const base = `${absoluteUrl(journey.previousEndpoint)}/${externalId}`;
+  const url = withCulture(base, journey.culture);
+  return fintechosRequest({
+    method: "POST",
     url,
-    data: data || null,
+    endpoint: "previous",
+    auth,
+    data: { values: values || [] },
   });
+}
 
-  try {
-    const response = await axios({
-      method,
-      url,
-      data,
-      headers: {
-        accept: "text/plain",
-        Authorization: `Bearer ${token}`,
-        ...(data ? { "Content-Type": "application/json" } : {}),
-      },
+async function requireJourneySession(req, requestedExternalId) {
+  const session = await sessions.load(req);
+  if (!session?.externalId) {
+    throw new ApiError(401, "Journey session not found or expired", {
+      code: "SESSION_REQUIRED",
     });
+  }
 
-    debugLog("PFAPI response", {
-      method,
-      url,
-      status: response.status,
+  if (requestedExternalId && requestedExternalId !== session.externalId) {
+    throw new ApiError(403, "externalId does not belong to this session", {
+      code: "SESSION_MISMATCH",
     });
+  }
 
-    return response.data;
-  } catch (error) {
-    debugLog("PFAPI error", {
-      method,
-      url,
-      status: error.response?.status,
-      response: error.response?.data || null,
+  return session;
+}
+
+async function endJourneySession(res, session) {
+  if (session) {
+    await drafts.clear(session.id);
+  }
+  await sessions.destroy(res, session);
+}
+
+function parseOfferSelection(value) {
+  if (value && typeof value === "object") {
+    return value;
+  }
+  if (typeof value !== "string" || !value) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : { offerId: value };
+  } catch (_error) {
+    return { offerId: value };
+  }
+}
+
+// Only an eligible offer, and card, from the last /available for this session.
+function findSelectedOffer(session, selection) {
+  const offer = (session.offers || []).find(
+    (entry) => entry.eligible && entry.offerId === selection?.offerId,
+  );
+  const cardId = selection?.cardId || null;
+  return offer && (!cardId || offer.cardIds.includes(cardId)) ? offer : null;
+}
+
+// Same rule as the client: the step title before the first "-".
+function isOffersStep(journeyStep) {
+  const [title] = String(journeyStep || "").split("-");
+  return title.toLowerCase() === "offers";
+}
+
+function withOfferSelection(session, journey, values) {
+  const entries = Array.isArray(values) ? values : [];
+  const index = entries.findIndex(
+    (entry) => entry?.attribute === journey.selectionAttribute,
+  );
+  const required =
+    Boolean(journey.selectionAttribute) && isOffersStep(session.journeyStep);
+  if (index === -1 && !required) {
+    return values;
+  }
+
+  const selection =
+    index === -1 ? null : parseOfferSelection(entries[index].value);
+  const offer = findSelectedOffer(session, selection);
+  const cardId = selection?.cardId || null;
+  if (!offer) {
+    const message = "Select one of the available offers";
+    throw new ApiError(422, message, {
+      code: "INVALID_OFFER_SELECTION",
+      fieldErrors: [{ field: journey.selectionAttribute, message }],
     });
-    throw error;
   }
+
+  const selected = [...entries];
+  selected[index] = {
+    attribute: journey.selectionAttribute,
+    value: JSON.stringify({
+      offerId: offer.offerId,
+      offerCode: offer.offerCode,
+      cardId,
+    }),
+  };
+  return selected;
+}
+
+function sendError(res, error, fallbackMessage, { values } = {}) {
+  const { status, body } = toErrorResponse(error, fallbackMessage, {
+    exposeDetails: exposeErrorDetails,
+  });
+  if (values) {
+    Object.assign(body, fieldErrorsForValues(body.fieldErrors, values));
+  }
+  apiErrors.inc({ status, code: body.code });
+  logger[status >= 500 ? "warn" : "debug"]("API error", {
+    status,
+    code: body.code,
+    message: body.message,
+  });
+  if (error.retryAfterSeconds) {
+    res.set("Retry-After", String(error.retryAfterSeconds));
+  }
+  return res.status(status).json(body);
 }
 
-async function fintechosRequest({ method, url, token, data }) {
-  const requestConfig = {
-    method,
+async function uploadDocument(
+  auth,
+  journey,
+  externalId,
+  { attribute, stream, info, signal },
+) {
+  const base = `${absoluteUrl(journey.documentUploadEndpoint)}/${externalId}`;
+  const url = withCulture(base, journey.culture);
+  const form = new FormData();
+  form.append("attribute", attribute);
+  form.append("file", stream, {
+    filename: info.filename,
+    contentType: info.mimeType,
+  });
+
+  logger.debug("FintechOS document upload", {
     url,
-    data,
-    headers: {
-      accept: "application/json",
-      Authorization: `Bearer ${token}`,
-      ...(data ? { "Content-Type": "application/json" } : {}),
-    },
-  };
+    attribute,
+    fileName: info.filename,
+    contentType: info.mimeType,
+  });
 
-  debugLog("FintechOS request", {
-    method,
+  // The file is streamed once, so a rejected token is dropped but the upload
+  // is not sent again.
+  return fintechosRequest({
+    method: "POST",
     url,
-    data: data || null,
+    endpoint: "upload",
+    auth,
+    data: form,
+    signal,
+    replayable: false,
+    retries: 0,
+    maxBodyLength: Infinity,
+    headers: form.getHeaders(),
   });
+}
 
-  try {
-    const response = await axios(requestConfig);
-    debugLog("FintechOS response", {
-      method,
-      url,
-      status: response.status,
-      nextStep: response.data?.nextStep || null,
-      externalId: response.data?.externalId || null,
-      instanceId: response.data?.instanceId || null,
-    });
-    return response.data;
-  } catch (error) {
-    debugLog("FintechOS error", {
-      method,
-      url,
-      status: error.response?.status,
-      response: error.response?.data || null,
-    });
-    throw error;
+function extractDocumentReference(payload) {
+  if (typeof payload === "string") {
+    return payload.replace(/^"|"$/g, "") || null;
+  }
+
+  if (payload && typeof payload === "object") {
+    return (
+      payload.documentId ||
+      payload.id ||
+      payload.fileId ||
+      payload.reference ||
+      null
+    );
   }
+
+  return null;
 }
 
-async function loadJourneyMetadata(token) {
-  const base = absoluteUrl(config.loadMetadataEndpoint);
-  const url = withCulture(base);
-  return fintechosRequest({ method: "GET", url, token });
+const rateLimiters = {
+  ip: createRateLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitPerIp,
+  }),
+  session: createRateLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitPerSession,
+  }),
+  init: createRateLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitInitPerIp,
+  }),
+  offers: createRateLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitOffersPerIp,
+  }),
+  save: createRateLimiter({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitSavePerIp,
+  }),
+};
+
+function rateLimit(limiter, keyFor) {
+  return (req, res, next) => {
+    const key = keyFor(req);
+    if (!key) {
+      return next();
+    }
+
+    const { allowed, retryAfterSeconds } = limiter.hit(key);
+    if (allowed) {
+      return next();
+    }
+
+    logger.info("Rate limited", { path: req.path });
+    res.set("Retry-After", String(retryAfterSeconds));
+    return sendError(
+      res,
+      new ApiError(429, "Too many requests, please try again later", {
+        code: "RATE_LIMITED",
+      }),
+      "Too many requests",
+    );
+  };
 }
 
-async function startJourney(token) {
-  const base = absoluteUrl(config.startEndpoint);
-  const url = withCulture(base);
-  return fintechosRequest({ method: "POST", url, token, data: {} });
+const limitByIp = (limiter) => rateLimit(limiter, (req) => req.ip);
+
+app.use("/api", limitByIp(rateLimiters.ip));
+app.use(
+  "/api",
+  rateLimit(rateLimiters.session, (req) => sessions.idFrom(req)),
+);
+app.use("/api/journey/init", limitByIp(rateLimiters.init));
+app.use("/api/offers/available", limitByIp(rateLimiters.offers));
+app.use("/api/journey/save", limitByIp(rateLimiters.save));
+
+function trackActiveJourney(session, externalId, step, previousExternalId) {
+  const others = (session?.activeJourneys || []).filter(
+    (id) => id !== externalId && id !== previousExternalId,
+  );
+  return {
+    ...session,
+    externalId,
+    journeyStep: step?.journeyStep || null,
+    activeJourneys: step?.isLastStep ? others : [...others, externalId],
+  };
 }
 
-async function loadStep(token, externalId) {
-  const base = `${absoluteUrl(config.loadStepEndpoint)}/${externalId}`;
-  const url = withCulture(base);
-  return fintechosRequest({ method: "GET", url, token });
+// A started or resumed journey replaces the one on screen, so that one does
+// not count against the cap.
+function checkJourneyCap(res, session, externalId) {
+  const activeJourneys = (session?.activeJourneys || []).filter(
+    (id) => id !== session.externalId && id !== externalId,
+  );
+  if (activeJourneys.length >= config.maxJourneysPerSession) {
+    res.set("Retry-After", String(Math.ceil(config.sessionTtlMs / 1000)));
+    throw new ApiError(429, "Too many journeys in progress for this session", {
+      code: "TOO_MANY_JOURNEYS",
+    });
+  }
 }
 
-async function loadStepWithRetry(
-  token,
-  externalId,
-  attempts = 4,
-  delayMs = 250,
-) {
-  let lastError = null;
+function countJourneyEvent(journey, event, step) {
+  journeyEvents.inc({ journey: journey.key, event });
+  if (step?.journeyStep) {
+    journeySteps.inc({ journey: journey.key, step: step.journeyStep });
+  }
+  if (event === "next" && step?.isLastStep) {
+    journeyEvents.inc({ journey: journey.key, event: "completed" });
+  }
+}
 
-  for (let attempt = 1; attempt <= attempts; attempt += 1) {
-    try {
-      return await loadStep(token, externalId);
-    } catch (error) {
-      lastError = error;
-      const status = error.response?.status;
-      const message = error.response?.data?.message || "";
-      const canRetry = status === 404 && message;
+function withAnswers(session, journey, values) {
+  return {
+    ...session,
+    answers: collectAnswers(
+      session.answers,
+      values,
+      offerInputAttributes(journey.inputs),
+    ),
+  };
+}
 
-      if (!canRetry || attempt === attempts) {
-        break;
-      }
+app.get("/api/health", (_req, res) => {
+  res.json({ ok: true });
+});
 
-      debugLog("Load step retry", { externalId, attempt, delayMs });
-      await sleep(delayMs);
+async function readinessCheck(name, check) {
+  try {
+    await check();
+    return [name, { ok: true }];
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return [
+        name,
+        {
+          ok: false,
+          code: "CONFIG_ERROR",
+          message: exposeErrorDetails
+            ? error.problems.join("; ")
+            : `${name} check failed`,
+        },
+      ];
     }
+    const { body } = toErrorResponse(error, `${name} check failed`, {
+      exposeDetails: exposeErrorDetails,
+    });
+    return [name, { ok: false, code: body.code, message: body.message }];
   }
+}
 
-  throw lastError;
+async function checkReadiness() {
+  const checks = Object.fromEntries(
+    await Promise.all([
+      readinessCheck("config", async () => checkJourneys()),
+      readinessCheck("fintechos", () => journeyAuth.getToken()),
+      ...(config.availableOffersEndpoint
+        ? [readinessCheck("pfapi", () => pfapiAuth.getToken())]
+        : []),
+      ...(config.forwardedTokens === "verify"
+        ? [readinessCheck("jwks", () => forwardedTokens.refresh())]
+        : []),
+      ...(oidc ? [readinessCheck("oidc", () => oidc.discover())] : []),
+    ]),
+  );
+  return { ok: Object.values(checks).every((check) => check.ok), checks };
 }
 
-async function nextStep(token, externalId, values) {
-  const base = `${absoluteUrl(config.nextEndpoint)}/${externalId}`;
-  const url = withCulture(base);
-  return fintechosRequest({
-    method: "POST",
-    url,
-    token,
-    data: { values: values || [] },
+app.get("/api/health/ready", async (_req, res) => {
+  const readiness = await checkReadiness();
+  res.status(readiness.ok ? 200 : 503).json(readiness);
+});
+
+app.get("/api/journeys", (_req, res) => {
+  res.json({
+    defaultJourney: journeys.defaultKey,
+    journeys: journeys.list(),
   });
+});
+
+function requireOidc() {
+  if (!oidc) {
+    throw new ApiError(404, "Customer login is not enabled", {
+      code: "LOGIN_DISABLED",
+    });
+  }
 }
 
-async function previousStep(token, externalId, values) {
-  const base = `${absoluteUrl(config.previousEndpoint)}/${externalId}`;
-  const url = withCulture(base);
-  return fintechosRequest({
-    method: "POST",
-    url,
-    token,
-    data: { values: values || [] },
-  });
+// Only same-site paths, so the callback cannot be used as an open redirect.
+function safeReturnTo(value) {
+  return typeof value === "string" && /^\/(?![/\\])/.test(value) ? value : "/";
 }
 
-app.get("/api/health", (_req, res) => {
-  res.json({ ok: true });
+function withQueryParam(path, name, value) {
+  const separator = path.includes("?") ? "&" : "?";
+  return `${path}${separator}${name}=${encodeURIComponent(value)}`;
+}
+
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    const session = await loadUser(req);
+    res.json({
+      enabled: Boolean(oidc),
+      required: config.oidcRequired,
+      user: session?.user || null,
+    });
+  } catch (error) {
+    sendError(res, error, "Load user failed");
+  }
+});
+
+app.get("/api/auth/login", async (req, res) => {
+  try {
+    requireOidc();
+    const { url, state, nonce, codeVerifier } =
+      await oidc.authorizationRequest();
+    const login = {
+      state,
+      nonce,
+      codeVerifier,
+      returnTo: safeReturnTo(req.query.returnTo),
+    };
+
+    const current = await users.load(req);
+    if (current) {
+      await users.save(res, { ...current, login });
+    } else {
+      await users.create(res, { login });
+    }
+    res.redirect(url);
+  } catch (error) {
+    sendError(res, error, "Login failed");
+  }
+});
+
+app.get("/api/auth/callback", async (req, res) => {
+  let login = null;
+  try {
+    requireOidc();
+    const session = await users.load(req);
+    login = session?.login || null;
+    if (req.query.error) {
+      throw new ApiError(401, String(req.query.error), {
+        code: "LOGIN_FAILED",
+      });
+    }
+    if (!login || !req.query.code || req.query.state !== login.state) {
+      throw new ApiError(401, "Login does not match this session", {
+        code: "LOGIN_FAILED",
+      });
+    }
+
+    const { user, tokens } = await oidc.exchangeCode({
+      code: String(req.query.code),
+      codeVerifier: login.codeVerifier,
+      nonce: login.nonce,
+    });
+
+    // A fresh session ID on login; a journey started by someone else ends.
+    await users.destroy(res, session);
+    await users.create(res, { user, tokens });
+    const journeySession = await sessions.load(req);
+    if (journeySession && journeySession.userId !== user.sub) {
+      await endJourneySession(res, journeySession);
+    }
+
+    logger.info("Customer signed in", { sub: user.sub });
+    res.redirect(login.returnTo);
+  } catch (error) {
+    const { status, body } = toErrorResponse(error, "Login failed");
+    apiErrors.inc({ status, code: body.code });
+    logger.warn("Login failed", {
+      status,
+      code: body.code,
+      message: body.message,
+    });
+    res.redirect(
+      withQueryParam(login?.returnTo || "/", "loginError", body.code),
+    );
+  }
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const session = await loadUser(req);
+    const logoutUrl = session?.tokens
+      ? await oidc.logoutUrl(session.tokens)
+      : null;
+    await users.destroy(res, session);
+    await endJourneySession(res, await sessions.load(req));
+    res.json({ logoutUrl });
+  } catch (error) {
+    sendError(res, error, "Logout failed");
+  }
+});
+
+app.get("/api/applications", async (req, res) => {
+  try {
+    const { user } = await requireUser(req);
+    const entries = await applications.list(user.sub);
+    res.json({
+      applications: entries.map((entry) => ({
+        ...entry,
+        journeyName:
+          journeys.resolve(entry.journeyKey)?.name || entry.journeyKey,
+      })),
+    });
+  } catch (error) {
+    sendError(res, error, "Load applications failed");
+  }
 });
 
 app.post("/api/journey/init", async (req, res) => {
   try {
-    validateEnv();
+    const journey = journeyForRequest(req, req.body?.journeyKey);
 
-    const token = await resolveToken(req);
-    const metadata = await loadJourneyMetadata(token);
-    const start = await startJourney(token);
+    const currentSession = await sessions.load(req);
+    checkJourneyCap(res, currentSession);
+
+    const auth = await resolveAuth(req, res);
+    const metadata = await loadJourneyMetadata(auth, journey);
+    const start = await startJourney(auth, journey);
 
     const externalId = start?.externalId;
     if (!externalId) {
-      throw new Error("Start Journey did not return externalId");
+      throw new ApiError(502, "Start Journey did not return externalId", {
+        expose: true,
+      });
     }
 
-    const step = await loadStep(token, externalId);
+    const step = await loadStep(auth, journey, externalId);
+    countJourneyEvent(journey, "started", step);
+
+    const userId = (await loadUser(req))?.user?.sub || null;
+    const session = trackActiveJourney(
+      {
+        ...currentSession,
+        journeyKey: journey.key,
+        userId,
+        offers: [],
+        answers: {},
+      },
+      externalId,
+      step,
+      currentSession?.externalId,
+    );
+    if (currentSession) {
+      await sessions.save(res, session);
+    } else {
+      await sessions.create(res, session);
+    }
+    if (userId) {
+      await applications.track(userId, {
+        externalId,
+        journeyKey: journey.key,
+        step,
+      });
+    }
 
     res.json({
       externalId,
+      journeyKey: journey.key,
+      culture: journey.culture,
       metadata,
       start,
       step,
     });
   } catch (error) {
-    res.status(500).json({
-      message: "Init journey failed",
-      details: error.response?.data || error.message,
-    });
+    sendError(res, error, "Init journey failed");
   }
 });
 
 app.post("/api/journey/load-step", async (req, res) => {
   try {
-    validateEnv();
+    const { externalId, journeyKey } = await requireJourneySession(
+      req,
+      req.body?.externalId,
+    );
+    const journey = journeyForRequest(req, journeyKey);
 
-    const { externalId } = req.body;
-    if (!externalId) {
-      return res.status(400).json({ message: "externalId is required" });
+    const auth = await resolveAuth(req, res);
+    const step = await loadStep(auth, journey, externalId);
+
+    return res.json(step);
+  } catch (error) {
+    return sendError(res, error, "Load step failed");
+  }
+});
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+app.post("/api/journey/save", async (req, res) => {
+  try {
+    const session = await requireJourneySession(req, req.body?.externalId);
+    const journey = resolveJourney(session.journeyKey);
+    const email = String(req.body?.email || "").trim();
+    if (!EMAIL_PATTERN.test(email)) {
+      const message = "Enter a valid email address";
+      throw new ApiError(422, message, {
+        code: "INVALID_EMAIL",
+        fieldErrors: [{ field: "email", message }],
+      });
     }
 
-    const token = await resolveToken(req);
-    const step = await loadStep(token, externalId);
+    const selection = req.body?.selectedOffer;
+    const offer = findSelectedOffer(session, selection);
+    const { token, expiresAt } = await resumeLinks.issue({
+      externalId: session.externalId,
+      journeyKey: journey.key,
+      userId: session.userId || null,
+      offers: session.offers || [],
+      answers: session.answers || {},
+      selectedOffer: offer && {
+        offerId: offer.offerId,
+        offerCode: offer.offerCode,
+        cardId: selection.cardId || null,
+      },
+    });
+
+    await notifier.send({
+      type: "resume-link",
+      to: email,
+      journeyName: journey.name,
+      link: `${config.publicBaseUrl}/resume/${token}`,
+      expiresAt,
+    });
+    countJourneyEvent(journey, "saved");
 
-    return res.json(step);
+    res.json({ expiresAt });
   } catch (error) {
-    return res.status(500).json({
-      message: "Load step failed",
-      details: error.response?.data || error.message,
+    sendError(res, error, "Save journey failed");
+  }
+});
+
+// A signed-in customer resumes by externalId, anyone else with a resume link.
+async function savedJourneyForRequest(req) {
+  const { token } = req.body || {};
+  if (token) {
+    const saved = await resumeLinks.load(token);
+    if (saved.userId && (await loadUser(req))?.user?.sub !== saved.userId) {
+      throw new ApiError(401, "Sign in to continue this application", {
+        code: "LOGIN_REQUIRED",
+      });
+    }
+    return saved;
+  }
+
+  const { user } = await requireUser(req);
+  const application = await applications.find(user.sub, req.body?.externalId);
+  if (!application) {
+    throw new ApiError(404, "Application not found", {
+      code: "APPLICATION_NOT_FOUND",
     });
   }
+  return {
+    externalId: application.externalId,
+    journeyKey: application.journeyKey,
+    userId: user.sub,
+  };
+}
+
+app.post("/api/journey/resume", async (req, res) => {
+  try {
+    const saved = await savedJourneyForRequest(req);
+    const journey = journeyForRequest(req, saved.journeyKey);
+    const { externalId } = saved;
+    const currentSession = await sessions.load(req);
+    checkJourneyCap(res, currentSession, externalId);
+
+    const auth = await resolveAuth(req, res);
+    const step = await loadStep(auth, journey, externalId);
+
+    const session = trackActiveJourney(
+      {
+        ...currentSession,
+        journeyKey: journey.key,
+        userId: saved.userId,
+        offers: saved.offers || [],
+        answers: saved.answers || {},
+      },
+      externalId,
+      step,
+      currentSession?.externalId,
+    );
+    if (currentSession) {
+      await sessions.save(res, session);
+    } else {
+      await sessions.create(res, session);
+    }
+    if (req.body?.token) {
+      await resumeLinks.revoke(req.body.token);
+    }
+
+    res.json({
+      externalId,
+      journeyKey: journey.key,
+      culture: journey.culture,
+      selectedOffer: saved.selectedOffer || null,
+      step,
+    });
+  } catch (error) {
+    sendError(res, error, "Resume journey failed");
+  }
 });
 
-app.post("/api/journey/next", async (req, res) => {
+app.get("/api/journey/draft", async (req, res) => {
   try {
-    validateEnv();
+    const session = await requireJourneySession(req, req.query.externalId);
+    res.json({ draft: await drafts.load(session.id, session.externalId) });
+  } catch (error) {
+    sendError(res, error, "Load draft failed");
+  }
+});
 
-    const { externalId, values } = req.body;
-    debugLog("API /journey/next input", { externalId, values: values || [] });
-    if (!externalId) {
-      return res.status(400).json({ message: "externalId is required" });
+app.put("/api/journey/draft", async (req, res) => {
+  try {
+    const session = await requireJourneySession(req, req.body?.externalId);
+    const { step, values } = req.body || {};
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      throw new ApiError(400, "values must map field names to values");
     }
 
-    const token = await resolveToken(req);
-    const nextResponse = await nextStep(token, externalId, values);
+    const draft = await drafts.save(session.id, {
+      externalId: session.externalId,
+      step: typeof step === "string" ? step : null,
+      values,
+    });
+    await sessions.touch(res, session);
+    res.json({ savedAt: draft.savedAt });
+  } catch (error) {
+    sendError(res, error, "Save draft failed");
+  }
+});
+
+app.post("/api/journey/next", async (req, res) => {
+  try {
+    const { values } = req.body;
+    const session = await requireJourneySession(req, req.body?.externalId);
+    const { externalId } = session;
+    const journey = journeyForRequest(req, session.journeyKey);
+    logger.debug("API /journey/next input", {
+      externalId,
+      values: values || [],
+    });
+
+    const auth = await resolveAuth(req, res);
+    const nextResponse = await nextStep(
+      auth,
+      journey,
+      externalId,
+      withOfferSelection(session, journey, values),
+    );
     const externalIdForLoad =
       nextResponse?.externalId || nextResponse?.instanceId || externalId;
-    const step = await loadStepWithRetry(token, externalIdForLoad);
+    const step = await loadStep(auth, journey, externalIdForLoad, {
+      afterTransition: true,
+    });
+    countJourneyEvent(journey, "next", step);
+    await drafts.clear(session.id);
+    await sessions.save(
+      res,
+      trackActiveJourney(
+        withAnswers(session, journey, values),
+        externalIdForLoad,
+        step,
+        externalId,
+      ),
+    );
+    if (session.userId) {
+      await applications.track(session.userId, {
+        externalId: externalIdForLoad,
+        previousExternalId: externalId,
+        journeyKey: journey.key,
+        step,
+      });
+    }
 
     return res.json({
       ...nextResponse,
@@ -468,31 +1287,49 @@ app.post("/api/journey/next", async (req, res) => {
       step,
     });
   } catch (error) {
-    return res.status(500).json({
-      message: "Next step failed",
-      details: error.response?.data || error.message,
+    return sendError(res, error, "Next step failed", {
+      values: req.body?.values,
     });
   }
 });
 
 app.post("/api/journey/previous", async (req, res) => {
   try {
-    validateEnv();
-
-    const { externalId, values } = req.body;
-    debugLog("API /journey/previous input", {
+    const { values } = req.body;
+    const session = await requireJourneySession(req, req.body?.externalId);
+    const { externalId } = session;
+    const journey = journeyForRequest(req, session.journeyKey);
+    logger.debug("API /journey/previous input", {
       externalId,
       values: values || [],
     });
-    if (!externalId) {
-      return res.status(400).json({ message: "externalId is required" });
-    }
 
-    const token = await resolveToken(req);
-    const prevResponse = await previousStep(token, externalId, values);
+    const auth = await resolveAuth(req, res);
+    const prevResponse = await previousStep(auth, journey, externalId, values);
     const externalIdForLoad =
       prevResponse?.externalId || prevResponse?.instanceId || externalId;
-    const step = await loadStepWithRetry(token, externalIdForLoad);
+    const step = await loadStep(auth, journey, externalIdForLoad, {
+      afterTransition: true,
+    });
+    countJourneyEvent(journey, "previous", step);
+    await drafts.clear(session.id);
+    await sessions.save(
+      res,
+      trackActiveJourney(
+        withAnswers(session, journey, values),
+        externalIdForLoad,
+        step,
+        externalId,
+      ),
+    );
+    if (session.userId) {
+      await applications.track(session.userId, {
+        externalId: externalIdForLoad,
+        previousExternalId: externalId,
+        journeyKey: journey.key,
+        step,
+      });
+    }
 
     return res.json({
       ...prevResponse,
@@ -500,82 +1337,296 @@ app.post("/api/journey/previous", async (req, res) => {
       step,
     });
   } catch (error) {
-    return res.status(500).json({
-      message: "Previous step failed",
-      details: error.response?.data || error.message,
+    return sendError(res, error, "Previous step failed");
+  }
+});
+
+app.post("/api/journey/documents", async (req, res) => {
+  try {
+    const auth = await resolveAuth(req, res);
+    const document = await receiveUpload(req, {
+      maxBytes: config.maxUploadBytes,
+      allowedTypes: config.uploadAllowedTypes,
+      onFile: async ({ fields, stream, info, signal }) => {
+        const { attribute } = fields;
+        const { externalId, journeyKey } = await requireJourneySession(
+          req,
+          fields.externalId,
+        );
+        const journey = journeyForRequest(req, journeyKey);
+        if (!journey.documentUploadEndpoint) {
+          throw new ApiError(500, "Missing env vars: documentUploadEndpoint", {
+            code: "CONFIG_ERROR",
+          });
+        }
+        if (!attribute) {
+          throw new ApiError(400, "attribute is required");
+        }
+
+        const stored = await uploadDocument(auth, journey, externalId, {
+          attribute,
+          stream,
+          info,
+          signal,
+        });
+        const reference = extractDocumentReference(stored);
+        if (!reference) {
+          throw new ApiError(
+            502,
+            "Document upload did not return a reference",
+            {
+              expose: true,
+            },
+          );
+        }
+
+        return {
+          attribute,
+          reference,
+          fileName: info.filename,
+          contentType: info.mimeType,
+        };
+      },
     });
+
+    return res.json(document);
+  } catch (error) {
+    return sendError(res, error, "Document upload failed");
   }
 });
 
 app.post("/api/offers/available", async (req, res) => {
   try {
-    validatePfapiEnv();
+    if (!config.availableOffersEndpoint) {
+      throw new ApiError(404, "Offers are not enabled", {
+        code: "OFFERS_DISABLED",
+      });
+    }
 
-    const productDependency =
-      req.body?.productDependency || config.defaultProductDependency;
-    const product = req.body?.product || config.defaultJourneyProduct;
-    const className = req.body?.className || config.defaultJourneyClass;
+    const session = await sessions.load(req);
+    const journey = journeyForRequest(req, session?.journeyKey);
+    const { culture, productDependency, product, className } = journey;
 
-    const token = await getPfapiToken();
     const availableUrl = `${absolutePfapiUrl(config.availableOffersEndpoint)}/available`;
 
-    const availableOffers = await pfapiRequest({
-      method: "POST",
-      url: availableUrl,
-      token,
-      data: {
-        Input: {
-          ProductDependency: productDependency,
-        },
-        Class: className,
-        Product: product,
-        IncludeFailedAudienceOffers: false,
+    const availableInput = {
+      Input: {
+        ProductDependency: productDependency,
+        ...buildOfferInput(journey.inputs, session?.answers),
       },
-    });
-
-    const offersArray = Array.isArray(availableOffers) ? availableOffers : [];
-    const details = await Promise.all(
-      offersArray.map((offer) =>
+      Class: className,
+      Product: product,
+      IncludeFailedAudienceOffers: config.offersIncludeFailedAudience,
+    };
+
+    const availableOffers = await offerCaches.availability.get(
+      JSON.stringify([culture, availableInput]),
+      () =>
         pfapiRequest({
-          method: "GET",
-          url: `${absolutePfapiUrl(config.offerDetailsEndpoint)}/${offer.offerId}/details`,
-          token,
+          method: "POST",
+          url: availableUrl,
+          endpoint: "available",
+          idempotent: true,
+          auth: pfapiAuth,
+          culture,
+          data: availableInput,
         }),
-      ),
     );
 
-    const mappedOffers = offersArray.map((offer, index) => {
-      const detail = details[index] || {};
-      const offerCards = Array.isArray(detail.offerCards)
-        ? detail.offerCards
-        : [];
+    const offersArray = Array.isArray(availableOffers) ? availableOffers : [];
+    const results = await mapWithConcurrency(
+      offersArray,
+      config.offerDetailsConcurrency,
+      (offer) =>
+        loadOfferDetails(pfapiAuth, offer.offerId, culture).then(
+          (detail) => ({ offer: mapOffer(offer, detail || {}) }),
+          (error) => {
+            const { body } = toErrorResponse(
+              error,
+              "Offer details could not be loaded",
+              { exposeDetails: false },
+            );
+            return {
+              warning: {
+                offerId: offer.offerId,
+                offerName: offer.offerName,
+                code: body.code,
+                message: body.message,
+              },
+            };
+          },
+        ),
+    );
 
-      return {
-        offerId: offer.offerId,
-        offerName: offer.offerName,
-        offerCode: detail.offerCode || null,
-        cards: offerCards.map((card) => ({
-          cardId: card.cardId,
-          cardTitle: card.cardTitle || offer.offerName || "Offer",
-          description: card.cardDescription || "",
-          benefits: (card.offerCardBenefits || []).map(
-            (benefit) => benefit.benefitName,
-          ),
+    const mappedOffers = results
+      .filter((result) => result.offer)
+      .map((result) => result.offer);
+    const warnings = results
+      .filter((result) => result.warning)
+      .map((result) => result.warning);
+    if (warnings.length > 0) {
+      logger.warn("Offer details failed", { warnings });
+    }
+
+    if (session) {
+      await sessions.save(res, {
+        ...session,
+        offers: mappedOffers.map((offer) => ({
+          offerId: offer.offerId,
+          offerCode: offer.offerCode,
+          eligible: offer.eligible,
+          cardIds: offer.cards.map((card) => card.cardId),
         })),
-      };
-    });
+      });
+    }
 
     return res.json({
       offers: mappedOffers,
+      warnings,
+      selectionAttribute: journey.selectionAttribute,
     });
   } catch (error) {
-    return res.status(500).json({
-      message: "Load available offers failed",
-      details: error.response?.data || error.message,
-    });
+    return sendError(res, error, "Load available offers failed");
   }
 });
 
-app.listen(port, () => {
-  console.log(`Server running on http://localhost:${port}`);
+function hasBearer(req, token) {
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(getBearerTokenFromRequest(req) || "");
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+function requireAdmin(req, res, next) {
+  if (!config.adminToken) {
+    return sendError(
+      res,
+      new ApiError(404, "Admin API is disabled"),
+      "Not found",
+    );
+  }
+
+  if (!hasBearer(req, config.adminToken)) {
+    return sendError(
+      res,
+      new ApiError(401, "Admin token required", { code: "ADMIN_REQUIRED" }),
+      "Unauthorized",
+    );
+  }
+
+  return next();
+}
+
+function offerCacheStats() {
+  return {
+    details: offerCaches.details.stats(),
+    availability: offerCaches.availability.stats(),
+  };
+}
+
+const OFFER_CACHE_COUNTERS = {
+  hits: "offer_cache_hits_total",
+  misses: "offer_cache_misses_total",
+  stale: "offer_cache_stale_total",
+  refreshErrors: "offer_cache_refresh_errors_total",
+};
+
+for (const [stat, name] of Object.entries(OFFER_CACHE_COUNTERS)) {
+  metrics.collector({
+    name,
+    help: `Offer cache ${stat} by cache`,
+    type: "counter",
+    collect: () =>
+      Object.entries(offerCacheStats()).map(([cache, stats]) => ({
+        labels: { cache },
+        value: stats[stat],
+      })),
+  });
+}
+metrics.collector({
+  name: "offer_cache_entries",
+  help: "Entries held in each offer cache",
+  collect: () =>
+    Object.entries(offerCacheStats()).map(([cache, stats]) => ({
+      labels: { cache },
+      value: stats.size,
+    })),
 });
+metrics.collector({
+  name: "upstream_circuit_open",
+  help: "1 while the upstream circuit breaker is open or half-open",
+  collect: () =>
+    [fintechos, pfapi, oauth2, notifications].map((client) => ({
+      labels: { upstream: client.name },
+      value: client.breaker.state() === "closed" ? 0 : 1,
+    })),
+});
+
+app.get("/metrics", (req, res) => {
+  if (config.metricsToken && !hasBearer(req, config.metricsToken)) {
+    return sendError(
+      res,
+      new ApiError(401, "Metrics token required", { code: "METRICS_REQUIRED" }),
+      "Unauthorized",
+    );
+  }
+
+  res.type(metrics.contentType).send(metrics.render());
+});
+
+app.get("/api/admin/offers-cache", requireAdmin, (_req, res) => {
+  res.json(offerCacheStats());
+});
+
+app.delete("/api/admin/offers-cache", requireAdmin, (req, res) => {
+  const { offerId } = req.query;
+  const purged = offerId
+    ? {
+        details: offerCaches.details.purge((key) =>
+          key.endsWith(`:${offerId}`),
+        ),
+        availability: 0,
+      }
+    : {
+        details: offerCaches.details.purge(),
+        availability: offerCaches.availability.purge(),
+      };
+  logger.info("Offer cache purged", { offerId: offerId || null, purged });
+  res.json({ purged, ...offerCacheStats() });
+});
+
+app.use((error, _req, res, _next) => {
+  if (error.type === "entity.too.large") {
+    return sendError(
+      res,
+      new ApiError(413, "Request body is too large", {
+        code: "PAYLOAD_TOO_LARGE",
+      }),
+      "Request failed",
+    );
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return sendError(
+      res,
+      new ApiError(400, "Request body is not valid JSON"),
+      "Request failed",
+    );
+  }
+
+  return sendError(res, error, "Request failed");
+});
+
+if (require.main === module) {
+  app.listen(config.port, () => {
+    logger.info(`Server running on http://localhost:${config.port}`);
+  });
+}
+
+module.exports = {
+  app,
+  config,
+  checkReadiness,
+};
@@ -0,0 +1,98 @@
+const fs = require("fs");
+const { normalizeEndpoint } = require("./config");
+
+const ENDPOINT_SETTINGS = {
+  start: "startEndpoint",
+  loadMetadata: "loadMetadataEndpoint",
+  loadStep: "loadStepEndpoint",
+  next: "nextEndpoint",
+  previous: "previousEndpoint",
+  documentUpload: "documentUploadEndpoint",
+};
+
+const OFFER_SETTINGS = [
+  "product",
+  "className",
+  "productDependency",
+  "selectionAttribute",
+  "inputs",
+];
+
+function definedEntries(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined),
+  );
+}
+
+function normalizeJourney(entry) {
+  if (!entry?.key) {
+    throw new Error("Every journey in the registry needs a key");
+  }
+
+  const endpoints = {};
+  for (const [name, setting] of Object.entries(ENDPOINT_SETTINGS)) {
+    const endpoint = entry.endpoints?.[name];
+    try {
+      endpoints[setting] = endpoint ? normalizeEndpoint(endpoint) : undefined;
+    } catch (error) {
+      throw new Error(
+        `Journey "${entry.key}" endpoint ${name} ${error.message}`,
+      );
+    }
+  }
+
+  const offers = {};
+  for (const setting of OFFER_SETTINGS) {
+    offers[setting] = entry.offers?.[setting];
+  }
+
+  return definedEntries({
+    key: String(entry.key),
+    name: entry.name || String(entry.key),
+    description: entry.description || "",
+    culture: entry.culture,
+    ...endpoints,
+    ...offers,
+  });
+}
+
+function loadJourneyRegistry({ filePath, defaultJourney, defaults }) {
+  let journeys = [];
+  let defaultKey = null;
+
+  if (filePath) {
+    const file = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    journeys = (Array.isArray(file.journeys) ? file.journeys : []).map(
+      normalizeJourney,
+    );
+    defaultKey = file.defaultJourney || journeys[0]?.key || null;
+  }
+
+  if (journeys.length === 0) {
+    journeys = [normalizeJourney(defaultJourney)];
+    defaultKey = journeys[0].key;
+  }
+
+  if (!journeys.some((journey) => journey.key === defaultKey)) {
+    throw new Error(`Default journey "${defaultKey}" is not in the registry`);
+  }
+
+  function resolve(key) {
+    const journey = journeys.find((entry) => entry.key === (key || defaultKey));
+    return journey ? { ...defaults(), ...journey } : null;
+  }
+
+  function list() {
+    return journeys.map(({ key, name, description }) => ({
+      key,
+      name,
+      description,
+    }));
+  }
+
+  return { defaultKey, list, resolve };
+}
+
+module.exports = {
+  loadJourneyRegistry,
+};
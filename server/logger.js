@@ -0,0 +1,183 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = "[REDACTED]";
+
+const SECRET_KEYS = [
+  "authorization",
+  "cookie",
+  "set-cookie",
+  "password",
+  "secret",
+  "clientsecret",
+  "client_secret",
+  "token",
+  "accesstoken",
+  "access_token",
+  "refreshtoken",
+  "refresh_token",
+  "id_token",
+  "apikey",
+  "x-api-key",
+];
+
+// Token endpoints take form-encoded bodies, which also carry the one-time
+// authorization code and its PKCE verifier.
+const FORM_SECRET_KEYS = ["code", "code_verifier"];
+
+const FORM_BODY = /^[\w.~-]+=[^&\s]*(?:&[\w.~-]+=[^&\s]*)*$/;
+
+// Customer answers travel under these keys: journey `values`, the PFAPI
+// `Input` and the answers kept in the session.
+const PII_CONTAINERS = new Set(["values", "input", "answers"]);
+
+const MAX_DEPTH = 8;
+
+const context = new AsyncLocalStorage();
+
+function runWithContext(bindings, callback) {
+  return context.run({ ...context.getStore(), ...bindings }, callback);
+}
+
+function currentContext() {
+  return context.getStore() || {};
+}
+
+function createRedactor({ keys = [], attributes = ["*"] } = {}) {
+  const secretKeys = new Set(
+    [...SECRET_KEYS, ...keys].map((key) => key.toLowerCase()),
+  );
+  const allAttributes = attributes.includes("*");
+  const piiAttributes = new Set(
+    attributes.map((attribute) => attribute.toLowerCase()),
+  );
+
+  const formSecretKeys = new Set([...secretKeys, ...FORM_SECRET_KEYS]);
+
+  function redactForm(body) {
+    return body
+      .split("&")
+      .map((pair) => {
+        const [key] = pair.split("=");
+        return formSecretKeys.has(key.toLowerCase())
+          ? `${key}=${REDACTED}`
+          : pair;
+      })
+      .join("&");
+  }
+
+  function isPii(name) {
+    return allAttributes || piiAttributes.has(String(name).toLowerCase());
+  }
+
+  function redact(value, inContainer = false, depth = 0) {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, code: value.code };
+    }
+    if (value instanceof URLSearchParams) {
+      return redactForm(value.toString());
+    }
+    if (typeof value === "string" && FORM_BODY.test(value)) {
+      return redactForm(value);
+    }
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+    if (depth >= MAX_DEPTH) {
+      return "[Truncated]";
+    }
+    if (Array.isArray(value)) {
+      return value.map((entry) => redact(entry, inContainer, depth + 1));
+    }
+    if (inContainer && typeof value.attribute === "string") {
+      return {
+        ...value,
+        value: isPii(value.attribute)
+          ? REDACTED
+          : redact(value.value, inContainer, depth + 1),
+      };
+    }
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      const name = key.toLowerCase();
+      const piiKey = inContainer
+        ? isPii(key)
+        : !allAttributes && piiAttributes.has(name);
+      if (
+        secretKeys.has(name) ||
+        (piiKey && (entry === null || typeof entry !== "object"))
+      ) {
+        result[key] = REDACTED;
+      } else {
+        result[key] = redact(
+          entry,
+          inContainer || PII_CONTAINERS.has(name),
+          depth + 1,
+        );
+      }
+    }
+    return result;
+  }
+
+  return (value) => redact(value);
+}
+
+function createLogger({
+  level = "info",
+  redact = createRedactor(),
+  bindings = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+  now = () => new Date(),
+} = {}) {
+  const threshold = LEVELS[level];
+  if (threshold === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  function isLevelEnabled(name) {
+    return LEVELS[name] >= threshold;
+  }
+
+  function log(name, message, fields) {
+    if (!isLevelEnabled(name)) {
+      return;
+    }
+
+    const { requestId } = currentContext();
+    write(
+      JSON.stringify({
+        time: now().toISOString(),
+        level: name,
+        msg: message,
+        ...(requestId ? { requestId } : {}),
+        ...redact({ ...bindings, ...fields }),
+      }),
+    );
+  }
+
+  return {
+    isLevelEnabled,
+    debug: (message, fields) => log("debug", message, fields),
+    info: (message, fields) => log("info", message, fields),
+    warn: (message, fields) => log("warn", message, fields),
+    error: (message, fields) => log("error", message, fields),
+    child: (childBindings) =>
+      createLogger({
+        level,
+        redact,
+        write,
+        now,
+        bindings: { ...bindings, ...childBindings },
+      }),
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createRedactor,
+  createLogger,
+  runWithContext,
+  currentContext,
+};
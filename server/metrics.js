@@ -0,0 +1,141 @@
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return String(value);
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(name, help, type, samples) {
+    if (metrics.some((metric) => metric.name === name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    metrics.push({ name, help, type, samples });
+  }
+
+  function series(labelNames) {
+    const entries = new Map();
+
+    return {
+      entry(labels, create) {
+        const picked = Object.fromEntries(
+          labelNames.map((name) => [name, String(labels[name] ?? "")]),
+        );
+        const key = JSON.stringify(Object.values(picked));
+        if (!entries.has(key)) {
+          entries.set(key, { labels: picked, ...create() });
+        }
+        return entries.get(key);
+      },
+      values: () => [...entries.values()],
+    };
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const values = series(labelNames);
+    register(name, help, "counter", () =>
+      values.values().map(({ labels, value }) => ({ name, labels, value })),
+    );
+
+    return {
+      inc(labels = {}, amount = 1) {
+        values.entry(labels, () => ({ value: 0 })).value += amount;
+      },
+    };
+  }
+
+  function histogram({
+    name,
+    help,
+    labelNames = [],
+    buckets = DEFAULT_BUCKETS,
+  }) {
+    const values = series(labelNames);
+    const bounds = [...buckets].sort((a, b) => a - b);
+    register(name, help, "histogram", () =>
+      values.values().flatMap(({ labels, counts, sum, count }) => [
+        ...bounds.map((bound, index) => ({
+          name: `${name}_bucket`,
+          labels: { ...labels, le: formatValue(bound) },
+          value: counts[index],
+        })),
+        {
+          name: `${name}_bucket`,
+          labels: { ...labels, le: "+Inf" },
+          value: count,
+        },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count },
+      ]),
+    );
+
+    return {
+      observe(labels, value) {
+        const entry = values.entry(labels, () => ({
+          counts: bounds.map(() => 0),
+          sum: 0,
+          count: 0,
+        }));
+        bounds.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index] += 1;
+          }
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+    };
+  }
+
+  // Values read on every scrape, e.g. cache stats kept elsewhere.
+  function collector({ name, help, type = "gauge", collect }) {
+    register(name, help, type, () =>
+      collect().map(({ labels = {}, value }) => ({ name, labels, value })),
+    );
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const sample of metric.samples()) {
+        lines.push(
+          `${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`,
+        );
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, histogram, collector, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = {
+  createMetricsRegistry,
+};
@@ -0,0 +1,356 @@
+const express = require("express");
+const Busboy = require("busboy");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.resolve(__dirname, "../../.env") });
+
+const TOKEN_TTL_SECONDS = 3600;
+
+const defaultEndpoints = {
+  authTokenEndpoint:
+    process.env.FINTECHOS_AUTH_TOKEN_ENDPOINT ||
+    "/ftosapi/authentication/keycloakToken",
+  clientTokenEndpoint:
+    process.env.FINTECHOS_CLIENT_TOKEN_ENDPOINT ||
+    "/pfapi/Authentication/token",
+  oauth2TokenEndpoint: "/realms/fintechos/protocol/openid-connect/token",
+  pfapiTokenEndpoint:
+    process.env.FINTECHOS_PFAPI_TOKEN_ENDPOINT ||
+    process.env.FINTECHOS_AUTH_PFAPI_TOKEN_ENDPOINT ||
+    "/pfapi/Authentication/token",
+  loadMetadataEndpoint:
+    process.env.FINTECHOS_LOAD_METADATA_ENDPOINT ||
+    "/ftosapi/digitaljourney/loadMetadata",
+  startEndpoint:
+    process.env.FINTECHOS_START_ENDPOINT || "/ftosapi/digitaljourney/start",
+  loadStepEndpoint:
+    process.env.FINTECHOS_LOAD_STEP_ENDPOINT ||
+    "/ftosapi/digitaljourney/loadStep",
+  nextEndpoint:
+    process.env.FINTECHOS_NEXT_ENDPOINT || "/ftosapi/digitaljourney/next",
+  previousEndpoint:
+    process.env.FINTECHOS_PREVIOUS_ENDPOINT ||
+    "/ftosapi/digitaljourney/previous",
+  availableOffersEndpoint:
+    process.env.FINTECHOS_AVAILABLE_OFFERS || "/pfapi/api/v1/product/offer",
+  offerDetailsEndpoint:
+    process.env.FINTECHOS_OFFER_DETAILS_ENDPOINT ||
+    "/pfapi/api/v1/product/offer",
+  documentUploadEndpoint:
+    process.env.FINTECHOS_DOCUMENT_UPLOAD_ENDPOINT ||
+    "/ftosapi/digitaljourney/uploadDocument",
+};
+
+function loadJourneyDefinition(file) {
+  const resolved = path.resolve(
+    file || process.env.MOCK_JOURNEY_FILE || path.join(__dirname, "journey.json"),
+  );
+  return JSON.parse(fs.readFileSync(resolved, "utf8"));
+}
+
+function base64Url(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function createMockServer({ definition, endpoints = {} } = {}) {
+  const journey = definition || loadJourneyDefinition();
+  const paths = { ...defaultEndpoints, ...endpoints };
+  const app = express();
+  const tokens = new Map();
+  const instances = new Map();
+
+  app.use(express.json());
+
+  function issueToken(subject) {
+    const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
+    const token = [
+      base64Url({ alg: "none", typ: "JWT" }),
+      base64Url({ sub: subject, azp: "mock", exp }),
+      "mock",
+    ].join(".");
+    tokens.set(token, exp);
+    return token;
+  }
+
+  function requireToken(req, res, next) {
+    const header = req.headers.authorization || "";
+    const token = header.toLowerCase().startsWith("bearer ")
+      ? header.slice(7).trim()
+      : "";
+    const exp = tokens.get(token);
+    if (!exp || exp * 1000 <= Date.now()) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    return next();
+  }
+
+  function findInstance(req, res) {
+    const instance = instances.get(req.params.externalId);
+    if (!instance) {
+      res.status(404).json({ message: "Journey instance not found" });
+      return null;
+    }
+
+    return instance;
+  }
+
+  function storeValues(instance, values) {
+    for (const entry of Array.isArray(values) ? values : []) {
+      if (entry && entry.attribute) {
+        instance.values[entry.attribute] = entry.value;
+      }
+    }
+  }
+
+  function renderStep(instance, culture) {
+    const definitionStep = journey.steps[instance.stepIndex];
+    const optionSets = journey.optionSets || {};
+
+    return {
+      journeyStep: definitionStep.journeyStep,
+      culture: culture || null,
+      isLastStep: Boolean(definitionStep.isLastStep),
+      properties: {
+        nextButton: { show: Boolean(definitionStep.nextButton) },
+        previousButton: { show: Boolean(definitionStep.previousButton) },
+      },
+      fields: (definitionStep.fields || []).map((field) => {
+        const { optionSet, ...rest } = field;
+        return {
+          ...rest,
+          value: instance.values[field.name] ?? field.value ?? null,
+          isReadOnly: Boolean(field.isReadOnly),
+          ...(optionSet ? { optionSetValues: optionSets[optionSet] || [] } : {}),
+        };
+      }),
+    };
+  }
+
+  function missingRequiredFields(instance, values) {
+    const submitted = {};
+    for (const entry of Array.isArray(values) ? values : []) {
+      if (entry && entry.attribute) {
+        submitted[entry.attribute] = entry.value;
+      }
+    }
+
+    return (journey.steps[instance.stepIndex].fields || [])
+      .filter((field) => field.isRequired || field.required)
+      .filter((field) => {
+        const value = submitted[field.name] ?? instance.values[field.name];
+        return value === undefined || value === null || value === "";
+      })
+      .map((field) => ({
+        attribute: field.name,
+        message: `${field.displayName || field.name} is required`,
+      }));
+  }
+
+  function move(direction) {
+    return (req, res) => {
+      const instance = findInstance(req, res);
+      if (!instance) {
+        return undefined;
+      }
+
+      if (direction > 0) {
+        const errors = missingRequiredFields(instance, req.body?.values);
+        if (errors.length > 0) {
+          return res.status(422).json({ message: "Validation failed", errors });
+        }
+      }
+
+      storeValues(instance, req.body?.values);
+      const lastIndex = journey.steps.length - 1;
+      instance.stepIndex = Math.min(
+        lastIndex,
+        Math.max(0, instance.stepIndex + direction),
+      );
+
+      return res.json({
+        externalId: instance.externalId,
+        nextStep: journey.steps[instance.stepIndex].journeyStep,
+      });
+    };
+  }
+
+  function failedAudience(offer, input) {
+    return (offer.audience || []).filter((rule) => {
+      const value = input?.[rule.input];
+      if (value === undefined) {
+        return false;
+      }
+      if (rule.equals !== undefined) {
+        return value !== rule.equals;
+      }
+      if (rule.min !== undefined) {
+        return !(Number(value) >= rule.min);
+      }
+      return false;
+    });
+  }
+
+  function findOffer(offerId) {
+    return (journey.offers || []).find((offer) => offer.offerId === offerId);
+  }
+
+  app.post(paths.authTokenEndpoint, (req, res) => {
+    if (!req.body?.userName || !req.body?.password) {
+      return res.status(400).json({ message: "userName and password required" });
+    }
+
+    return res.json({ accessToken: issueToken(req.body.userName) });
+  });
+
+  const clientTokenHandler = (req, res) => {
+    if (!req.body?.clientId || !req.body?.clientSecret) {
+      return res
+        .status(400)
+        .json({ message: "clientId and clientSecret required" });
+    }
+
+    return res.json({ accessToken: issueToken(req.body.clientId) });
+  };
+  app.post(paths.clientTokenEndpoint, clientTokenHandler);
+  if (paths.pfapiTokenEndpoint !== paths.clientTokenEndpoint) {
+    app.post(paths.pfapiTokenEndpoint, clientTokenHandler);
+  }
+
+  app.post(
+    paths.oauth2TokenEndpoint,
+    express.urlencoded({ extended: false }),
+    (req, res) => {
+      if (req.body?.grant_type !== "client_credentials") {
+        return res.status(400).json({ error: "unsupported_grant_type" });
+      }
+      if (!req.body.client_id || !req.body.client_secret) {
+        return res.status(401).json({ error: "invalid_client" });
+      }
+
+      return res.json({
+        access_token: issueToken(req.body.client_id),
+        token_type: "Bearer",
+        expires_in: TOKEN_TTL_SECONDS,
+      });
+    },
+  );
+
+  app.get(paths.loadMetadataEndpoint, requireToken, (req, res) => {
+    res.json({
+      journeyName: journey.journeyName,
+      culture: req.query.culture || null,
+      steps: journey.steps.map((step) => step.journeyStep),
+    });
+  });
+
+  app.post(paths.startEndpoint, requireToken, (_req, res) => {
+    const externalId = crypto.randomUUID();
+    instances.set(externalId, {
+      externalId,
+      stepIndex: 0,
+      values: {},
+      documents: {},
+    });
+    res.json({ externalId, nextStep: journey.steps[0].journeyStep });
+  });
+
+  app.get(`${paths.loadStepEndpoint}/:externalId`, requireToken, (req, res) => {
+    const instance = findInstance(req, res);
+    if (instance) {
+      res.json(renderStep(instance, req.query.culture));
+    }
+  });
+
+  app.post(`${paths.nextEndpoint}/:externalId`, requireToken, move(1));
+  app.post(`${paths.previousEndpoint}/:externalId`, requireToken, move(-1));
+
+  app.post(
+    `${paths.documentUploadEndpoint}/:externalId`,
+    requireToken,
+    (req, res) => {
+      const instance = findInstance(req, res);
+      if (!instance) {
+        return;
+      }
+
+      const busboy = Busboy({ headers: req.headers });
+      const document = { documentId: crypto.randomUUID(), size: 0 };
+      busboy.on("field", (name, value) => {
+        document[name] = value;
+      });
+      busboy.on("file", (_name, stream, info) => {
+        document.fileName = info.filename;
+        document.contentType = info.mimeType;
+        stream.on("data", (chunk) => {
+          document.size += chunk.length;
+        });
+      });
+      busboy.on("close", () => {
+        instance.documents[document.documentId] = document;
+        res.json(document);
+      });
+      req.pipe(busboy);
+    },
+  );
+
+  app.post(
+    `${paths.availableOffersEndpoint}/available`,
+    requireToken,
+    (req, res) => {
+      const includeFailed = Boolean(req.body?.IncludeFailedAudienceOffers);
+      const available = [];
+      for (const offer of journey.offers || []) {
+        const failed = failedAudience(offer, req.body?.Input);
+        if (failed.length === 0) {
+          available.push({
+            offerId: offer.offerId,
+            offerName: offer.offerName,
+          });
+        } else if (includeFailed) {
+          available.push({
+            offerId: offer.offerId,
+            offerName: offer.offerName,
+            isEligible: false,
+            failedAudiences: failed.map((rule) => ({
+              audienceName: rule.input,
+              message: rule.message,
+            })),
+          });
+        }
+      }
+      res.json(available);
+    },
+  );
+
+  app.get(
+    `${paths.offerDetailsEndpoint}/:offerId/details`,
+    requireToken,
+    (req, res) => {
+      const offer = findOffer(req.params.offerId);
+      if (!offer) {
+        return res.status(404).json({ message: "Offer not found" });
+      }
+
+      const { offerName: _offerName, audience: _audience, ...details } = offer;
+      return res.json(details);
+    },
+  );
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = process.env.MOCK_PORT || 4000;
+  createMockServer().listen(port, () => {
+    console.log(`FintechOS mock running on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createMockServer,
+  loadJourneyDefinition,
+};
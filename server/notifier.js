@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+
+// "console" and "file" keep messages on this machine for development;
+// "webhook" hands them to the service that sends the email or SMS.
+const TRANSPORTS = {
+  console:
+    ({ logger }) =>
+    async (message) => {
+      logger.info("Notification", message);
+    },
+  file:
+    ({ filePath }) =>
+    async (message) => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(message)}\n`, {
+        mode: 0o600,
+      });
+    },
+  webhook:
+    ({ client, url }) =>
+    async (message) => {
+      await client.request({
+        method: "POST",
+        url,
+        endpoint: "notify",
+        data: message,
+      });
+    },
+};
+
+function createNotifier({ transport, now = Date.now, ...options }) {
+  const deliver =
+    typeof transport === "function"
+      ? transport
+      : TRANSPORTS[transport]?.(options);
+  if (!deliver) {
+    throw new Error(`Unknown notifier transport: ${transport}`);
+  }
+
+  return {
+    send(message) {
+      return deliver({ ...message, sentAt: new Date(now()).toISOString() });
+    },
+  };
+}
+
+module.exports = {
+  createNotifier,
+};
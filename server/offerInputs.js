@@ -0,0 +1,88 @@
+const TRANSFORMS = {
+  number(value) {
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+  },
+  age(value, now) {
+    const birth = new Date(value);
+    if (Number.isNaN(birth.getTime())) {
+      return null;
+    }
+
+    const years = now.getUTCFullYear() - birth.getUTCFullYear();
+    const beforeBirthday =
+      now.getUTCMonth() < birth.getUTCMonth() ||
+      (now.getUTCMonth() === birth.getUTCMonth() &&
+        now.getUTCDate() < birth.getUTCDate());
+    return beforeBirthday ? years - 1 : years;
+  },
+};
+
+function inputEntries(mapping) {
+  return Object.entries(mapping || {}).map(([input, source]) => {
+    const { attribute, transform } =
+      typeof source === "string" ? { attribute: source } : source || {};
+    if (!attribute) {
+      throw new Error(`Offer input ${input} needs a journey attribute`);
+    }
+    if (transform && !TRANSFORMS[transform]) {
+      throw new Error(
+        `Unknown transform for offer input ${input}: ${transform}`,
+      );
+    }
+    return { input, attribute, transform };
+  });
+}
+
+function parseOfferInputs(text) {
+  const mapping = {};
+  for (const pair of String(text || "").split(",")) {
+    const [input, source] = pair.split("=").map((part) => part?.trim());
+    if (!input || !source) {
+      continue;
+    }
+
+    const [attribute, transform] = source.split(":").map((part) => part.trim());
+    mapping[input] = transform ? { attribute, transform } : attribute;
+  }
+
+  inputEntries(mapping);
+  return mapping;
+}
+
+function offerInputAttributes(mapping) {
+  return [...new Set(inputEntries(mapping).map(({ attribute }) => attribute))];
+}
+
+function buildOfferInput(mapping, answers, now = new Date()) {
+  const input = {};
+  for (const { input: name, attribute, transform } of inputEntries(mapping)) {
+    const value = answers?.[attribute];
+    if (value === undefined || value === null || value === "") {
+      continue;
+    }
+
+    const mapped = transform ? TRANSFORMS[transform](value, now) : value;
+    if (mapped !== null) {
+      input[name] = mapped;
+    }
+  }
+  return input;
+}
+
+function collectAnswers(answers, values, attributes) {
+  const collected = { ...answers };
+  for (const entry of Array.isArray(values) ? values : []) {
+    if (attributes.includes(entry?.attribute)) {
+      collected[entry.attribute] = entry.value;
+    }
+  }
+  return collected;
+}
+
+module.exports = {
+  parseOfferInputs,
+  offerInputAttributes,
+  buildOfferInput,
+  collectAnswers,
+};
@@ -0,0 +1,140 @@
+function firstArray(...values) {
+  return values.find((value) => Array.isArray(value)) || [];
+}
+
+function firstDefined(...values) {
+  return values.find((value) => value !== undefined && value !== null);
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+// Terms are rendered as links, so only absolute web URLs are kept.
+function toWebUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:"
+      ? url.href
+      : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+function offerEligibility(offer) {
+  const reasons = firstArray(
+    offer.failedAudiences,
+    offer.failedAudienceRules,
+    offer.audienceFailures,
+    offer.failedRules,
+  )
+    .map((failure) =>
+      typeof failure === "string"
+        ? failure
+        : failure?.message ||
+          failure?.description ||
+          failure?.audienceName ||
+          failure?.name,
+    )
+    .filter(Boolean);
+  const flag = offer.isEligible ?? offer.eligible ?? offer.passedAudience;
+
+  return {
+    eligible: typeof flag === "boolean" ? flag : reasons.length === 0,
+    ineligibleReasons: reasons,
+  };
+}
+
+function mapPrice(price, currency) {
+  if (price === undefined || price === null) {
+    return null;
+  }
+
+  const source = typeof price === "object" ? price : { amount: price };
+  const amount = toNumber(firstDefined(source.amount, source.value));
+  if (amount === null) {
+    return null;
+  }
+
+  return {
+    amount,
+    currency:
+      firstDefined(source.currency, source.currencyCode, currency) || null,
+    period: firstDefined(source.period, source.frequency) || null,
+  };
+}
+
+function mapFee(fee, currency) {
+  return {
+    name: firstDefined(fee.feeName, fee.name) || "",
+    ...mapPrice(fee, currency),
+  };
+}
+
+function mapInterestRate(rate) {
+  return {
+    name: firstDefined(rate.interestRateName, rate.name) || "",
+    rate: toNumber(firstDefined(rate.rate, rate.value, rate.interestRate)),
+    type: firstDefined(rate.type, rate.rateType) || null,
+  };
+}
+
+function mapTermsDocument(document) {
+  return {
+    name: firstDefined(document.documentName, document.name) || "",
+    url: toWebUrl(firstDefined(document.documentUrl, document.url)),
+  };
+}
+
+function mapOffer(offer, detail) {
+  const currency = firstDefined(detail.currency, detail.currencyCode);
+  const offerCards = Array.isArray(detail.offerCards) ? detail.offerCards : [];
+
+  return {
+    offerId: offer.offerId,
+    offerName: offer.offerName,
+    offerCode: detail.offerCode || null,
+    ...offerEligibility(offer),
+    pricing: mapPrice(firstDefined(detail.offerPrice, detail.price), currency),
+    fees: firstArray(detail.offerFees, detail.fees)
+      .map((fee) => mapFee(fee, currency))
+      .filter((fee) => fee.amount !== undefined),
+    interestRates: firstArray(detail.offerInterestRates, detail.interestRates)
+      .map(mapInterestRate)
+      .filter((rate) => rate.rate !== null),
+    validFrom: toDate(firstDefined(detail.validFrom, detail.startDate)),
+    validTo: toDate(firstDefined(detail.validTo, detail.endDate)),
+    terms: firstArray(
+      detail.offerDocuments,
+      detail.termsDocuments,
+      detail.documents,
+    )
+      .map(mapTermsDocument)
+      .filter((document) => document.url),
+    cards: offerCards.map((card) => ({
+      cardId: card.cardId,
+      cardTitle: card.cardTitle || offer.offerName || "Offer",
+      description: card.cardDescription || "",
+      benefits: (card.offerCardBenefits || []).map(
+        (benefit) => benefit.benefitName,
+      ),
+    })),
+  };
+}
+
+module.exports = {
+  mapOffer,
+};
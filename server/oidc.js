@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+const { createTokenVerifier } = require("./auth");
+
+function randomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function createOidcClient({
+  client,
+  issuer,
+  clientId,
+  clientSecret,
+  redirectUri,
+  scope = "openid profile email",
+  postLogoutRedirectUri,
+  clockToleranceMs,
+  jwksCacheTtlMs,
+  now = Date.now,
+}) {
+  let discovery = null;
+
+  function discover() {
+    discovery ??= client
+      .request({
+        method: "GET",
+        url: `${issuer}/.well-known/openid-configuration`,
+        endpoint: "discovery",
+      })
+      .catch((error) => {
+        discovery = null;
+        throw error;
+      });
+    return discovery;
+  }
+
+  const idTokens = createTokenVerifier({
+    issuer,
+    audience: clientId,
+    clockToleranceMs,
+    cacheTtlMs: jwksCacheTtlMs,
+    now,
+    fetchJwks: async () =>
+      client.request({
+        method: "GET",
+        url: (await discover()).jwks_uri,
+        endpoint: "jwks",
+      }),
+  });
+
+  async function requestTokens(params) {
+    const { token_endpoint: url } = await discover();
+    return client.request({
+      method: "POST",
+      url,
+      endpoint: "token",
+      data: new URLSearchParams({
+        ...params,
+        client_id: clientId,
+        ...(clientSecret ? { client_secret: clientSecret } : {}),
+      }).toString(),
+      headers: {
+        accept: "application/json",
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+  }
+
+  function tokenSet(response, previous = {}) {
+    if (!response?.access_token) {
+      throw new ApiError(502, "Login did not return an access token", {
+        expose: true,
+      });
+    }
+    return {
+      accessToken: response.access_token,
+      refreshToken: response.refresh_token || previous.refreshToken || null,
+      idToken: response.id_token || previous.idToken || null,
+      expiresAt: now() + Number(response.expires_in ?? 300) * 1000,
+    };
+  }
+
+  // PKCE (S256) and a nonce bind the callback to this browser's session.
+  async function authorizationRequest() {
+    const { authorization_endpoint: endpoint } = await discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope,
+      state,
+      nonce,
+      code_challenge: crypto
+        .createHash("sha256")
+        .update(codeVerifier)
+        .digest("base64url"),
+      code_challenge_method: "S256",
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+  }
+
+  async function exchangeCode({ code, codeVerifier, nonce }) {
+    const response = await requestTokens({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    });
+    const tokens = tokenSet(response);
+    if (!tokens.idToken) {
+      throw new ApiError(502, "Login did not return an ID token", {
+        expose: true,
+      });
+    }
+
+    const claims = await idTokens.verify(tokens.idToken);
+    if (claims.nonce !== nonce) {
+      throw new ApiError(401, "Login response does not match this session", {
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    return {
+      user: {
+        sub: claims.sub,
+        name: claims.name || claims.preferred_username || null,
+        email: claims.email || null,
+      },
+      tokens,
+    };
+  }
+
+  async function refresh(tokens) {
+    if (!tokens.refreshToken) {
+      throw new ApiError(401, "Your sign-in has expired", {
+        code: "LOGIN_EXPIRED",
+      });
+    }
+
+    try {
+      return tokenSet(
+        await requestTokens({
+          grant_type: "refresh_token",
+          refresh_token: tokens.refreshToken,
+        }),
+        tokens,
+      );
+    } catch (error) {
+      if (error.response?.status === 400 || error.response?.status === 401) {
+        throw new ApiError(401, "Your sign-in has expired", {
+          code: "LOGIN_EXPIRED",
+        });
+      }
+      throw error;
+    }
+  }
+
+  async function logoutUrl(tokens) {
+    const { end_session_endpoint: endpoint } = await discover();
+    if (!endpoint) {
+      return null;
+    }
+
+    const url = new URL(endpoint);
+    url.search = new URLSearchParams({
+      client_id: clientId,
+      ...(tokens?.idToken ? { id_token_hint: tokens.idToken } : {}),
+      ...(postLogoutRedirectUri
+        ? { post_logout_redirect_uri: postLogoutRedirectUri }
+        : {}),
+    }).toString();
+    return url.toString();
+  }
+
+  return {
+    discover,
+    authorizationRequest,
+    exchangeCode,
+    refresh,
+    logoutUrl,
+  };
+}
+
+module.exports = {
+  createOidcClient,
+};
@@ -0,0 +1,44 @@
+function createRateLimiter({ windowMs, max, now = Date.now }) {
+  const windows = new Map();
+
+  function prune() {
+    const currentTime = now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= currentTime) {
+        windows.delete(key);
+      }
+    }
+  }
+
+  const pruneTimer = setInterval(prune, windowMs);
+  pruneTimer.unref();
+
+  function hit(key) {
+    const currentTime = now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= currentTime) {
+      window = { count: 0, resetAt: currentTime + windowMs };
+      windows.set(key, window);
+    }
+
+    window.count += 1;
+    return {
+      allowed: window.count <= max,
+      remaining: Math.max(0, max - window.count),
+      retryAfterSeconds: Math.max(
+        1,
+        Math.ceil((window.resetAt - currentTime) / 1000),
+      ),
+    };
+  }
+
+  function reset() {
+    windows.clear();
+  }
+
+  return { hit, reset };
+}
+
+module.exports = {
+  createRateLimiter,
+};
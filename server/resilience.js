@@ -0,0 +1,167 @@
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Only these mean a non-idempotent request never reached the upstream.
+const NOT_SENT_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EHOSTUNREACH",
+]);
+const NOT_PROCESSED_STATUSES = new Set([429, 503]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableError(error, { idempotent = true } = {}) {
+  if (!error?.isAxiosError || error.code === "ERR_CANCELED") {
+    return false;
+  }
+  if (!idempotent) {
+    return error.response
+      ? NOT_PROCESSED_STATUSES.has(error.response.status)
+      : NOT_SENT_ERROR_CODES.has(error.code);
+  }
+  return error.response ? RETRYABLE_STATUSES.has(error.response.status) : true;
+}
+
+function isUnavailableError(error) {
+  if (!error?.isAxiosError || error.code === "ERR_CANCELED") {
+    return false;
+  }
+  return error.response ? error.response.status >= 500 : true;
+}
+
+async function withRetry(
+  send,
+  {
+    retries = 0,
+    baseDelayMs = 100,
+    jitter = false,
+    random = Math.random,
+    shouldRetry = isRetryableError,
+    onRetry,
+  },
+) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await send(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const backoffMs = baseDelayMs * 2 ** attempt;
+      const delayMs = jitter
+        ? Math.round(backoffMs / 2 + (random() * backoffMs) / 2)
+        : backoffMs;
+      onRetry?.({ attempt: attempt + 1, delayMs, error });
+      await sleep(delayMs);
+    }
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(retryAfterMs) {
+    super("Circuit breaker is open");
+    this.name = "CircuitOpenError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function createCircuitBreaker({
+  failureThreshold = 5,
+  resetMs = 30000,
+  isFailure = isUnavailableError,
+  now = Date.now,
+  onStateChange = () => {},
+}) {
+  let failures = 0;
+  let openedAt = null;
+  let probing = false;
+
+  function state() {
+    if (openedAt === null) {
+      return "closed";
+    }
+    return now() - openedAt >= resetMs ? "half-open" : "open";
+  }
+
+  function transition(next) {
+    const previous = state();
+    if (next === "open") {
+      openedAt = now();
+    } else {
+      openedAt = null;
+      failures = 0;
+    }
+    if (previous !== next) {
+      onStateChange({ from: previous, to: next });
+    }
+  }
+
+  async function run(send) {
+    const current = state();
+    if (current === "open" || (current === "half-open" && probing)) {
+      throw new CircuitOpenError(Math.max(0, openedAt + resetMs - now()));
+    }
+
+    const probe = current === "half-open";
+    probing = probing || probe;
+    try {
+      const result = await send();
+      if (probe || failures > 0) {
+        transition("closed");
+      }
+      return result;
+    } catch (error) {
+      if (!isFailure(error)) {
+        if (probe) {
+          transition("closed");
+        } else {
+          failures = 0;
+        }
+      } else if (probe) {
+        transition("open");
+      } else {
+        failures += 1;
+        if (failures >= failureThreshold) {
+          transition("open");
+        }
+      }
+      throw error;
+    } finally {
+      if (probe) {
+        probing = false;
+      }
+    }
+  }
+
+  return { run, state, stats: () => ({ state: state(), failures }) };
+}
+
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await mapper(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  CircuitOpenError,
+  isRetryableError,
+  isUnavailableError,
+  withRetry,
+  createCircuitBreaker,
+  mapWithConcurrency,
+};
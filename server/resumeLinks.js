@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+
+// A link carries only a signed ID and expiry; the journey it resumes stays in
+// the session store, so no answers end up in mailboxes or browser history.
+function createResumeLinks({ store, secret, ttlMs, now = Date.now }) {
+  const keyFor = (id) => `resume:${id}`;
+
+  function sign(value) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`resume:${value}`)
+      .digest("base64url");
+  }
+
+  function invalidLink() {
+    return new ApiError(400, "This resume link is not valid", {
+      code: "INVALID_RESUME_LINK",
+    });
+  }
+
+  function expiredLink() {
+    return new ApiError(410, "This resume link has expired or was used", {
+      code: "RESUME_LINK_EXPIRED",
+    });
+  }
+
+  function parse(token) {
+    const [id, expires, signature, ...rest] = String(token || "").split(".");
+    if (!id || !expires || !signature || rest.length > 0) {
+      throw invalidLink();
+    }
+
+    const expected = Buffer.from(sign(`${id}.${expires}`));
+    const actual = Buffer.from(signature);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      throw invalidLink();
+    }
+    if (Number.parseInt(expires, 36) * 1000 <= now()) {
+      throw expiredLink();
+    }
+    return id;
+  }
+
+  async function issue(data) {
+    const id = crypto.randomBytes(18).toString("base64url");
+    const expiresAt = now() + ttlMs;
+    const expires = Math.floor(expiresAt / 1000).toString(36);
+    await store.set(keyFor(id), data, ttlMs);
+    return {
+      token: `${id}.${expires}.${sign(`${id}.${expires}`)}`,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+  }
+
+  async function load(token) {
+    const data = await store.get(keyFor(parse(token)));
+    if (!data) {
+      throw expiredLink();
+    }
+    return data;
+  }
+
+  async function revoke(token) {
+    await store.destroy(keyFor(parse(token)));
+  }
+
+  return { issue, load, revoke };
+}
+
+module.exports = {
+  createResumeLinks,
+};
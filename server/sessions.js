@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+function createMemorySessionStore({
+  now = Date.now,
+  pruneIntervalMs = 60000,
+} = {}) {
+  const entries = new Map();
+
+  function prune() {
+    const currentTime = now();
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt <= currentTime) {
+        entries.delete(id);
+      }
+    }
+  }
+
+  const pruneTimer = setInterval(prune, pruneIntervalMs);
+  pruneTimer.unref();
+
+  return {
+    get size() {
+      return entries.size;
+    },
+    async get(id) {
+      const entry = entries.get(id);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= now()) {
+        entries.delete(id);
+        return null;
+      }
+      return entry.data;
+    },
+    async set(id, data, ttlMs) {
+      entries.set(id, { data, expiresAt: now() + ttlMs });
+    },
+    async touch(id, ttlMs) {
+      const entry = entries.get(id);
+      if (entry && entry.expiresAt > now()) {
+        entry.expiresAt = now() + ttlMs;
+      }
+    },
+    async destroy(id) {
+      entries.delete(id);
+    },
+  };
+}
+
+function createFileSessionStore({ filePath, now = Date.now }) {
+  let entries = {};
+  try {
+    entries = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (_error) {
+    entries = {};
+  }
+
+  let writing = Promise.resolve();
+
+  function persist() {
+    const currentTime = now();
+    for (const [id, entry] of Object.entries(entries)) {
+      if (entry.expiresAt <= currentTime) {
+        delete entries[id];
+      }
+    }
+
+    const snapshot = JSON.stringify(entries);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tempPath, filePath);
+      });
+    return writing;
+  }
+
+  return {
+    async get(id) {
+      const entry = entries[id];
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= now()) {
+        delete entries[id];
+        await persist();
+        return null;
+      }
+      return entry.data;
+    },
+    async set(id, data, ttlMs) {
+      entries[id] = { data, expiresAt: now() + ttlMs };
+      await persist();
+    },
+    async touch(id, ttlMs) {
+      const entry = entries[id];
+      if (entry && entry.expiresAt > now()) {
+        entry.expiresAt = now() + ttlMs;
+        await persist();
+      }
+    },
+    async destroy(id) {
+      delete entries[id];
+      await persist();
+    },
+  };
+}
+
+function createSessionStore({ type, filePath }) {
+  if (type === "file") {
+    return createFileSessionStore({ filePath });
+  }
+  if (type && type !== "memory") {
+    throw new Error(`Unknown session store: ${type}`);
+  }
+  return createMemorySessionStore();
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (_error) {
+        cookies[name] = value;
+      }
+    }
+  }
+  return cookies;
+}
+
+function createSessionManager({
+  store,
+  secret,
+  ttlMs,
+  cookieName = "journey_sid",
+  secure = false,
+}) {
+  function sign(id) {
+    return crypto.createHmac("sha256", secret).update(id).digest("base64url");
+  }
+
+  function verify(cookieValue) {
+    const [id, signature] = String(cookieValue || "").split(".");
+    if (!id || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(id));
+    const actual = Buffer.from(signature);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      return null;
+    }
+    return id;
+  }
+
+  function writeCookie(res, id) {
+    res.cookie(cookieName, `${id}.${sign(id)}`, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure,
+      path: "/",
+      maxAge: ttlMs,
+    });
+  }
+
+  function idFrom(req) {
+    return verify(parseCookies(req.headers.cookie)[cookieName]);
+  }
+
+  async function load(req) {
+    const id = idFrom(req);
+    if (!id) {
+      return null;
+    }
+
+    const data = await store.get(id);
+    return data ? { ...data, id } : null;
+  }
+
+  async function create(res, data) {
+    const id = crypto.randomBytes(24).toString("base64url");
+    await store.set(id, data, ttlMs);
+    writeCookie(res, id);
+    return { ...data, id };
+  }
+
+  async function save(res, session) {
+    const { id, ...data } = session;
+    await store.set(id, data, ttlMs);
+    writeCookie(res, id);
+  }
+
+  // Extends the session without writing its data, so it cannot undo a save
+  // made by a request running at the same time.
+  async function touch(res, session) {
+    await store.touch(session.id, ttlMs);
+    writeCookie(res, session.id);
+  }
+
+  async function destroy(res, session) {
+    if (session?.id) {
+      await store.destroy(session.id);
+    }
+    res.clearCookie(cookieName, { path: "/" });
+  }
+
+  return { idFrom, load, create, save, touch, destroy };
+}
+
+module.exports = {
+  createMemorySessionStore,
+  createFileSessionStore,
+  createSessionStore,
+  createSessionManager,
+};
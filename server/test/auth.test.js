@@ -0,0 +1,201 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy, createSigningKey } = require("./helpers");
+const { createTokenVerifier } = require("../auth");
+
+const issuer = "https://keycloak.example.com/realms/fintechos";
+const audience = "journey-proxy";
+
+function validClaims(overrides = {}) {
+  return {
+    iss: issuer,
+    aud: ["account", audience],
+    sub: "user-1",
+    exp: Math.floor(Date.now() / 1000) + 300,
+    ...overrides,
+  };
+}
+
+describe("createTokenVerifier", () => {
+  const key = createSigningKey("key-1");
+
+  function verifier(keys = [key], options = {}) {
+    let fetches = 0;
+    const tokens = createTokenVerifier({
+      issuer,
+      audience,
+      minRefreshMs: 0,
+      fetchJwks: async () => {
+        fetches += 1;
+        return { keys: keys.map((entry) => entry.jwk) };
+      },
+      ...options,
+    });
+    return { tokens, fetches: () => fetches };
+  }
+
+  it("returns the claims of a valid token", async () => {
+    const { tokens } = verifier();
+
+    const claims = await tokens.verify(key.sign(validClaims()));
+
+    assert.equal(claims.sub, "user-1");
+  });
+
+  it("rejects a wrong issuer, audience or expiry", async () => {
+    const { tokens } = verifier();
+    const expired = Math.floor(Date.now() / 1000) - 60;
+
+    for (const [claims, message] of [
+      [{ iss: "https://evil.example.com" }, /unexpected issuer/],
+      [{ aud: "another-service" }, /not meant for this service/],
+      [{ exp: expired }, /expired/],
+    ]) {
+      await assert.rejects(tokens.verify(key.sign(validClaims(claims))), {
+        status: 401,
+        code: "INVALID_TOKEN",
+        message,
+      });
+    }
+  });
+
+  it("rejects tokens signed by another key", async () => {
+    const { tokens } = verifier();
+    const forged = createSigningKey("key-1").sign(validClaims());
+
+    await assert.rejects(tokens.verify(forged), /Invalid token signature/);
+    await assert.rejects(tokens.verify("not-a-token"), /Malformed token/);
+  });
+
+  it("refetches the keys when it sees an unknown kid", async () => {
+    const rotated = createSigningKey("key-2");
+    const keys = [key];
+    const { tokens, fetches } = verifier(keys);
+
+    await tokens.verify(key.sign(validClaims()));
+    keys.push(rotated);
+    await tokens.verify(rotated.sign(validClaims()));
+
+    assert.equal(fetches(), 2);
+  });
+});
+
+describe("OAuth2 credentials and verified forwarded tokens", () => {
+  const oauth2Path = "/realms/fintechos/protocol/openid-connect/token";
+  const key = createSigningKey("proxy-key");
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream();
+    Object.assign(process.env, {
+      FINTECHOS_AUTH_MODE: "oauth2",
+      FINTECHOS_OAUTH2_TOKEN_URL: `${upstream.url}${oauth2Path}`,
+      FINTECHOS_OAUTH2_SCOPE: "journeys",
+      FINTECHOS_PFAPI_CLIENT_ID: "pfapi-client",
+      FINTECHOS_PFAPI_CLIENT_SECRET: "pfapi-secret",
+      FINTECHOS_PFAPI_AUTH_MODE: "client_credentials",
+      FORWARDED_TOKENS: "verify",
+      FORWARDED_TOKEN_JWKS_URL: `${upstream.url}/jwks`,
+      FORWARDED_TOKEN_ISSUER: issuer,
+      FORWARDED_TOKEN_AUDIENCE: audience,
+    });
+    upstream.override("GET", "/jwks", (_req, res) =>
+      res.json({ keys: [key.jwk] }),
+    );
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  afterEach(() => {
+    upstream.calls.length = 0;
+  });
+
+  it("fetches journey tokens with the client-credentials grant", async () => {
+    const { status } = await proxy.client().post("/api/journey/init");
+
+    assert.equal(status, 200);
+    const tokenCall = upstream.calls.find((call) => call.path === oauth2Path);
+    assert.deepEqual(
+      { ...tokenCall.body },
+      {
+        grant_type: "client_credentials",
+        client_id: "test-client",
+        client_secret: "test-secret",
+        scope: "journeys",
+      },
+    );
+  });
+
+  it("uses the PFAPI's own client credentials", async () => {
+    const { status } = await proxy.client().post("/api/offers/available");
+
+    assert.equal(status, 200);
+    const tokenCall = upstream.calls.find(
+      (call) => call.path === "/pfapi/Authentication/token",
+    );
+    assert.deepEqual(tokenCall.body, {
+      clientId: "pfapi-client",
+      clientSecret: "pfapi-secret",
+    });
+  });
+
+  it("forwards a verified token to FintechOS", async () => {
+    const token = key.sign(validClaims());
+    // The mock only accepts tokens it issued, so it records the forwarded
+    // token and swaps in one of its own.
+    const issued = await fetch(`${upstream.url}/pfapi/Authentication/token`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ clientId: "idp", clientSecret: "idp" }),
+    }).then((response) => response.json());
+    const forwarded = [];
+    for (const method of ["GET", "POST"]) {
+      upstream.override(method, "/ftosapi", (req, _res, next) => {
+        if (req.headers.authorization === `Bearer ${token}`) {
+          forwarded.push(req.path);
+          req.headers.authorization = `Bearer ${issued.accessToken}`;
+        }
+        next();
+      });
+    }
+
+    const response = await proxy.client().request("/api/journey/init", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    assert.equal(response.status, 200);
+    assert.ok(
+      forwarded.some((path) =>
+        path.startsWith("/ftosapi/digitaljourney/loadMetadata"),
+      ),
+    );
+  });
+
+  it("rejects a forwarded token that does not verify", async () => {
+    const token = key.sign(validClaims({ aud: "another-service" }));
+
+    const response = await proxy.client().request("/api/journey/init", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 401);
+    assert.equal(body.code, "INVALID_TOKEN");
+    assert.ok(
+      upstream.calls.every((call) => !call.path.startsWith("/ftosapi")),
+    );
+  });
+
+  it("checks the JWKS endpoint when ready", async () => {
+    const response = await fetch(`${proxy.baseUrl}/api/health/ready`);
+
+    assert.deepEqual((await response.json()).checks.jwks, { ok: true });
+  });
+});
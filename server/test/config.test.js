@@ -0,0 +1,230 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ConfigError,
+  describeConfig,
+  loadConfig,
+  loadEnvFiles,
+  normalizeEndpoint,
+  resolveConfig,
+} = require("../config");
+const { main } = require("../cli");
+
+const minimalEnv = {
+  FINTECHOS_BASE_URL: "https://fintechos.example.com/",
+  FINTECHOS_CLIENT_ID: "client",
+  FINTECHOS_CLIENT_SECRET: "secret",
+  FINTECHOS_CULTURE: "en-GB",
+  FINTECHOS_START_ENDPOINT: "ftosapi/start/",
+  FINTECHOS_LOAD_METADATA_ENDPOINT: "/ftosapi/metadata",
+  FINTECHOS_LOAD_STEP_ENDPOINT: "/ftosapi/step",
+  FINTECHOS_NEXT_ENDPOINT: "/ftosapi/next",
+  FINTECHOS_PREVIOUS_ENDPOINT: "/ftosapi/previous",
+  FINTECHOS_AVAILABLE_OFFERS: "/pfapi/offers",
+};
+
+describe("normalizeEndpoint", () => {
+  it("adds the leading slash and drops trailing ones", () => {
+    assert.equal(normalizeEndpoint("ftosapi/x/"), "/ftosapi/x");
+    assert.equal(normalizeEndpoint("/a/b?mode=full"), "/a/b?mode=full");
+  });
+
+  it("rejects full URLs and whitespace", () => {
+    assert.throws(() => normalizeEndpoint("https://host/x"), /must be a path/);
+    assert.throws(() => normalizeEndpoint("/a b"), /must be a path/);
+  });
+});
+
+describe("resolveConfig", () => {
+  it("normalizes a minimal environment", () => {
+    const { config, problems } = resolveConfig({ ...minimalEnv });
+
+    assert.deepEqual(problems, []);
+    assert.equal(config.baseUrl, "https://fintechos.example.com");
+    assert.equal(config.startEndpoint, "/ftosapi/start");
+    assert.equal(config.authMode, "client_credentials");
+    assert.equal(config.port, 3000);
+  });
+
+  it("reports every invalid value at once", () => {
+    const { problems } = resolveConfig({
+      ...minimalEnv,
+      FINTECHOS_BASE_URL: "ftp://fintechos.example.com",
+      PORT: "abc",
+    });
+
+    assert.deepEqual(problems, [
+      "PORT: must be a whole number",
+      "FINTECHOS_BASE_URL: must be an absolute http(s) URL",
+    ]);
+  });
+
+  it("rejects conflicting authentication settings", () => {
+    assert.throws(
+      () =>
+        loadConfig({
+          ...minimalEnv,
+          FINTECHOS_AUTH_MODE: "client_credentials",
+          FINTECHOS_USER_NAME: "user",
+          FINTECHOS_PASSWORD: "pw",
+        }),
+      (error) =>
+        error instanceof ConfigError &&
+        error.problems.some((problem) => /cannot be combined/.test(problem)),
+    );
+  });
+
+  it("derives OAuth2 for both upstreams from a token URL", () => {
+    const { config } = loadConfig({
+      ...minimalEnv,
+      FINTECHOS_OAUTH2_TOKEN_URL: "https://keycloak.example.com/token",
+    });
+
+    assert.equal(config.authMode, "oauth2");
+    assert.equal(config.pfapiAuthMode, "oauth2");
+    assert.equal(config.pfapiClientId, "client");
+  });
+
+  it("checks PFAPI credentials and forwarded-token settings", () => {
+    const { problems } = resolveConfig({
+      ...minimalEnv,
+      FINTECHOS_PFAPI_CLIENT_ID: "pfapi-client",
+      FORWARDED_TOKENS: "verify",
+      FORWARDED_TOKEN_ISSUER: "https://keycloak.example.com/realms/x",
+    });
+
+    assert.deepEqual(problems, [
+      "FINTECHOS_PFAPI_CLIENT_ID and FINTECHOS_PFAPI_CLIENT_SECRET must be set together",
+      "FORWARDED_TOKENS=verify needs FORWARDED_TOKEN_JWKS_URL, FORWARDED_TOKEN_AUDIENCE",
+    ]);
+  });
+
+  it("needs every customer login setting once one is set", () => {
+    const { problems } = resolveConfig({
+      ...minimalEnv,
+      OIDC_ISSUER: "https://keycloak.example.com/realms/shop",
+    });
+
+    assert.deepEqual(problems, [
+      "Customer login needs OIDC_CLIENT_ID, OIDC_REDIRECT_URI",
+    ]);
+  });
+
+  it("checks where resume links are delivered", () => {
+    assert.deepEqual(
+      resolveConfig({ ...minimalEnv, NOTIFIER_TRANSPORT: "webhook" }).problems,
+      ["NOTIFIER_TRANSPORT=webhook needs NOTIFIER_WEBHOOK_URL"],
+    );
+
+    const { warnings } = loadConfig({
+      ...minimalEnv,
+      NODE_ENV: "production",
+      SESSION_SECRET: "secret",
+    });
+    assert.deepEqual(warnings, [
+      "NOTIFIER_TRANSPORT=console keeps resume links on this server instead of sending them",
+      "PUBLIC_BASE_URL is not set; resume links point at http://localhost:5173",
+    ]);
+  });
+
+  it("reads TRUST_PROXY as a flag, a hop count or addresses", () => {
+    const trustProxy = (value) =>
+      resolveConfig({ ...minimalEnv, TRUST_PROXY: value }).config.trustProxy;
+
+    assert.equal(trustProxy("false"), false);
+    assert.equal(trustProxy("true"), true);
+    assert.equal(trustProxy("2"), 2);
+    assert.deepEqual(trustProxy("loopback, 10.0.0.0/8"), [
+      "loopback",
+      "10.0.0.0/8",
+    ]);
+    assert.deepEqual(
+      resolveConfig({ ...minimalEnv, TRUST_PROXY: "yes" }).problems,
+      [
+        "TRUST_PROXY: must be true, false, a hop count or a list of addresses and subnets",
+      ],
+    );
+  });
+
+  it("warns about unknown FINTECHOS_ settings", () => {
+    const { warnings } = loadConfig({
+      ...minimalEnv,
+      FINTECHOS_BASEURL: "typo",
+    });
+
+    assert.deepEqual(warnings, [
+      "Unknown setting FINTECHOS_BASEURL is ignored",
+    ]);
+  });
+});
+
+describe("loadEnvFiles", () => {
+  function withEnvDir(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-test-"));
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, name), content);
+    }
+    return dir;
+  }
+
+  it("prefers the environment, then the profile file, then .env", () => {
+    const dir = withEnvDir({
+      ".env": "PORT=3000\nFINTECHOS_CULTURE=en-GB\nFINTECHOS_PASSWORD=base\n",
+      ".env.uat": "PORT=4000\nFINTECHOS_PASSWORD=uat\n",
+    });
+    const env = { FINTECHOS_PASSWORD: "real" };
+
+    const { files, sources } = loadEnvFiles({ dir, profile: "uat", env });
+
+    assert.deepEqual(files, [".env.uat", ".env"]);
+    assert.deepEqual(env, {
+      FINTECHOS_PASSWORD: "real",
+      PORT: "4000",
+      FINTECHOS_CULTURE: "en-GB",
+    });
+    assert.deepEqual(sources, {
+      PORT: ".env.uat",
+      FINTECHOS_CULTURE: ".env",
+    });
+  });
+
+  it("fails when the profile file is missing", () => {
+    const dir = withEnvDir({ ".env": "" });
+
+    assert.throws(
+      () => loadEnvFiles({ dir, profile: "prod", env: {} }),
+      /\.env\.prod does not exist/,
+    );
+  });
+});
+
+describe("describeConfig", () => {
+  it("masks secrets and reports where values came from", () => {
+    const rows = describeConfig(resolveConfig({ ...minimalEnv }), {
+      sources: { FINTECHOS_CLIENT_SECRET: ".env.uat" },
+    });
+    const row = (env) => rows.find((entry) => entry.env === env);
+
+    assert.deepEqual(row("FINTECHOS_CLIENT_SECRET"), {
+      key: "clientSecret",
+      env: "FINTECHOS_CLIENT_SECRET",
+      value: "********",
+      source: ".env.uat",
+    });
+    assert.equal(row("FINTECHOS_START_ENDPOINT").value, "/ftosapi/start");
+    assert.equal(row("FINTECHOS_START_ENDPOINT").source, "env");
+    assert.equal(row("PORT").source, "default");
+  });
+});
+
+describe("config CLI", () => {
+  it("exits with 2 on usage errors", async (t) => {
+    t.mock.method(console, "error", () => {});
+
+    assert.equal(await main(["unknown"]), 2);
+    assert.equal(await main(["config", "--verbose"]), 2);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+const {
+  parseAcceptLanguage,
+  negotiateCulture,
+  withCulture,
+} = require("../cultures");
+
+describe("negotiateCulture", () => {
+  it("orders Accept-Language tags by quality", () => {
+    assert.deepEqual(parseAcceptLanguage("en;q=0.5, ro-RO, fr;q=0.8, *"), [
+      "ro-RO",
+      "fr",
+      "en",
+    ]);
+  });
+
+  it("matches exact cultures first, then the language", () => {
+    const supported = ["en-GB", "ro-RO"];
+    assert.equal(negotiateCulture("RO-ro", supported), "ro-RO");
+    assert.equal(negotiateCulture("ro", supported), "ro-RO");
+    assert.equal(negotiateCulture("en-US,ro;q=0.9", supported), "en-GB");
+    assert.equal(negotiateCulture("fr-FR,de;q=0.5", supported), null);
+    assert.equal(negotiateCulture(undefined, supported), null);
+  });
+
+  it("appends the culture to endpoints with or without a query string", () => {
+    assert.equal(withCulture("/start", "ro-RO"), "/start?culture=ro-RO");
+    assert.equal(
+      withCulture("/start?mode=full", "ro-RO"),
+      "/start?mode=full&culture=ro-RO",
+    );
+  });
+});
+
+describe("request culture", () => {
+  let upstream;
+  let proxy;
+  let browser;
+
+  before(async () => {
+    process.env.SUPPORTED_CULTURES = "en-GB,ro-RO";
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => {
+    browser = proxy.client();
+  });
+
+  function postIn(language, path, body = {}) {
+    return browser
+      .request(path, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept-Language": language,
+        },
+        body: JSON.stringify(body),
+      })
+      .then(async (response) => ({
+        status: response.status,
+        body: await response.json(),
+      }));
+  }
+
+  it("starts the journey in the preferred supported culture", async () => {
+    const { status, body } = await postIn(
+      "ro-RO,ro;q=0.9,en;q=0.8",
+      "/api/journey/init",
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.culture, "ro-RO");
+    assert.equal(body.metadata.culture, "ro-RO");
+    assert.equal(body.step.culture, "ro-RO");
+  });
+
+  it("falls back to FINTECHOS_CULTURE for unsupported languages", async () => {
+    const { body } = await postIn("fr-FR", "/api/journey/init");
+
+    assert.equal(body.culture, "en-GB");
+    assert.equal(body.step.culture, "en-GB");
+  });
+
+  it("reloads the current step in a new culture", async () => {
+    const init = await postIn("en-GB", "/api/journey/init");
+
+    const { status, body } = await postIn("ro", "/api/journey/load-step");
+
+    assert.equal(status, 200);
+    assert.equal(body.culture, "ro-RO");
+    assert.equal(body.journeyStep, init.body.step.journeyStep);
+  });
+
+  it("moves to the next step in the request culture", async () => {
+    await postIn("en-GB", "/api/journey/init");
+
+    const { status, body } = await postIn("ro-RO", "/api/journey/next", {
+      values: [
+        { attribute: "firstName", value: "Ana" },
+        { attribute: "lastName", value: "Pop" },
+      ],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.step.culture, "ro-RO");
+  });
+});
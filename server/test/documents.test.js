@@ -0,0 +1,143 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+
+describe("POST /api/journey/documents", () => {
+  let upstream;
+  let proxy;
+  let browser;
+  let externalId;
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  beforeEach(async () => {
+    browser = proxy.client();
+    ({
+      body: { externalId },
+    } = await browser.post("/api/journey/init"));
+    upstream.reset();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+  });
+
+  async function upload({ fields = {}, content = "%PDF-1.4", type }) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) {
+      form.append(name, value);
+    }
+    form.append(
+      "file",
+      new Blob([content], { type: type || "application/pdf" }),
+      "id-card.pdf",
+    );
+
+    const response = await browser.request("/api/journey/documents", {
+      method: "POST",
+      body: form,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("streams the file upstream and returns the stored reference", async () => {
+    const { status, body } = await upload({
+      fields: { externalId, attribute: "idDocument" },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.attribute, "idDocument");
+    assert.equal(body.fileName, "id-card.pdf");
+    assert.equal(body.contentType, "application/pdf");
+    assert.ok(body.reference);
+    assert.ok(
+      upstream.calls.some(
+        (call) =>
+          call.path === `/ftosapi/digitaljourney/uploadDocument/${externalId}`,
+      ),
+    );
+  });
+
+  it("drops a token FintechOS rejects so the next upload gets a new one", async () => {
+    const uploadPath = "/ftosapi/digitaljourney/uploadDocument";
+    const tokenPath = "/pfapi/Authentication/token";
+    let rejected = false;
+    upstream.override("POST", uploadPath, (_req, res, next) => {
+      if (rejected) {
+        return next();
+      }
+      rejected = true;
+      return res.status(401).json({ message: "Unauthorized" });
+    });
+    const fields = { externalId, attribute: "idDocument" };
+
+    const first = await upload({ fields });
+    const second = await upload({ fields });
+
+    assert.equal(first.status, 401);
+    assert.equal(second.status, 200);
+    assert.equal(
+      upstream.calls.filter((call) => call.path === tokenPath).length,
+      1,
+    );
+  });
+
+  it("rejects file types that are not allowed", async () => {
+    const { status, body } = await upload({
+      fields: { externalId, attribute: "idDocument" },
+      type: "application/x-msdownload",
+    });
+
+    assert.equal(status, 415);
+    assert.equal(body.code, "UNSUPPORTED_MEDIA_TYPE");
+  });
+
+  it("rejects files over the size limit", async () => {
+    const original = proxy.config.maxUploadBytes;
+    proxy.config.maxUploadBytes = 16;
+    try {
+      const { status, body } = await upload({
+        fields: { externalId, attribute: "idDocument" },
+        content: "x".repeat(64),
+      });
+
+      assert.equal(status, 413);
+      assert.equal(body.code, "PAYLOAD_TOO_LARGE");
+    } finally {
+      proxy.config.maxUploadBytes = original;
+    }
+  });
+
+  it("requires attribute before the file", async () => {
+    const { status, body } = await upload({ fields: { externalId } });
+
+    assert.equal(status, 400);
+    assert.equal(body.message, "attribute is required");
+  });
+
+  it("requires a journey session", async () => {
+    browser = proxy.client();
+
+    const { status, body } = await upload({
+      fields: { externalId, attribute: "idDocument" },
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, "SESSION_REQUIRED");
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+const { createMemorySessionStore } = require("../sessions");
+const { createDraftStore } = require("../drafts");
+
+describe("createDraftStore", () => {
+  it("expires drafts after the session TTL", async () => {
+    let currentTime = 1_700_000_000_000;
+    const now = () => currentTime;
+    const drafts = createDraftStore({
+      store: createMemorySessionStore({ now }),
+      ttlMs: 60000,
+      now,
+    });
+
+    const saved = await drafts.save("session-1", {
+      externalId: "journey-1",
+      step: "Customer-1",
+      values: { firstName: "Ana" },
+    });
+
+    assert.equal(saved.savedAt, new Date(currentTime).toISOString());
+    assert.deepEqual(await drafts.load("session-1", "journey-1"), saved);
+    assert.equal(await drafts.load("session-1", "journey-2"), null);
+
+    currentTime += 60000;
+    assert.equal(await drafts.load("session-1", "journey-1"), null);
+  });
+});
+
+describe("journey drafts", () => {
+  let upstream;
+  let proxy;
+
+  async function put(browser, body) {
+    const response = await browser.request("/api/journey/draft", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function draftOf(browser) {
+    const response = await browser.request("/api/journey/draft");
+    return (await response.json()).draft;
+  }
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  it("saves the current step's values and returns them on reload", async () => {
+    const browser = proxy.client();
+    const { body: started } = await browser.post("/api/journey/init");
+
+    const saved = await put(browser, {
+      externalId: started.externalId,
+      step: started.step.journeyStep,
+      values: { firstName: "Ana", lastName: "Pop" },
+    });
+
+    assert.equal(saved.status, 200);
+    assert.deepEqual(await draftOf(browser), {
+      externalId: started.externalId,
+      step: started.step.journeyStep,
+      values: { firstName: "Ana", lastName: "Pop" },
+      savedAt: saved.body.savedAt,
+    });
+  });
+
+  it("keeps the journey session alive while the customer types", async () => {
+    const browser = proxy.client();
+    const { body: started } = await browser.post("/api/journey/init");
+
+    const response = await browser.request("/api/journey/draft", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        externalId: started.externalId,
+        values: { firstName: "Ana" },
+      }),
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(
+      response.headers.getSetCookie().join("\n"),
+      /^journey_sid=.+Max-Age=3600/m,
+    );
+  });
+
+  it("keeps drafts to their own journey session", async () => {
+    const owner = proxy.client();
+    const { body: started } = await owner.post("/api/journey/init");
+    await put(owner, { externalId: started.externalId, values: { a: 1 } });
+
+    const other = proxy.client();
+    await other.post("/api/journey/init");
+
+    assert.equal(await draftOf(other), null);
+    const { status, body } = await put(other, {
+      externalId: started.externalId,
+      values: { a: 2 },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, "SESSION_MISMATCH");
+  });
+
+  it("drops the draft once the step is submitted", async () => {
+    const browser = proxy.client();
+    const { body: started } = await browser.post("/api/journey/init");
+    await put(browser, {
+      externalId: started.externalId,
+      values: { firstName: "Ana" },
+    });
+
+    await browser.post("/api/journey/next", {
+      values: [
+        { attribute: "firstName", value: "Ana" },
+        { attribute: "lastName", value: "Popescu" },
+      ],
+    });
+
+    assert.equal(await draftOf(browser), null);
+  });
+
+  it("rejects values that are not an object", async () => {
+    const browser = proxy.client();
+    await browser.post("/api/journey/init");
+
+    const { status } = await put(browser, { values: ["Ana"] });
+
+    assert.equal(status, 400);
+  });
+
+  it("needs a journey session", async () => {
+    const response = await proxy.client().request("/api/journey/draft");
+
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).code, "SESSION_REQUIRED");
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ApiError, toErrorResponse } = require("../errors");
+
+function upstreamError(status, data, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  return error;
+}
+
+describe("toErrorResponse", () => {
+  it("normalizes problem-details field errors", () => {
+    const { status, body } = toErrorResponse(
+      upstreamError(400, {
+        title: "One or more validation errors occurred.",
+        traceId: "trace-1",
+        errors: { email: ["Invalid email"], phone: "Too short" },
+      }),
+      "Next step failed",
+    );
+
+    assert.equal(status, 400);
+    assert.equal(body.message, "One or more validation errors occurred.");
+    assert.equal(body.correlationId, "trace-1");
+    assert.deepEqual(body.fieldErrors, [
+      { field: "email", message: "Invalid email" },
+      { field: "phone", message: "Too short" },
+    ]);
+  });
+
+  it("reads PFAPI error messages", () => {
+    const { status, body } = toErrorResponse(
+      upstreamError(409, { errorMessage: "Offer no longer available" }),
+      "Load available offers failed",
+    );
+
+    assert.equal(status, 409);
+    assert.equal(body.code, "CONFLICT");
+    assert.equal(body.message, "Offer no longer available");
+  });
+
+  it("hides upstream payloads when details are not exposed", () => {
+    const { body } = toErrorResponse(
+      upstreamError(503, { stack: "secret" }),
+      "Init journey failed",
+      { exposeDetails: false },
+    );
+
+    assert.equal(body.code, "UPSTREAM_ERROR");
+    assert.equal(body.message, "Init journey failed");
+    assert.equal(body.details, undefined);
+  });
+
+  it("hides plain-text upstream bodies when details are not exposed", () => {
+    const error = upstreamError(404, "System.NullReferenceException at ...");
+
+    assert.equal(
+      toErrorResponse(error, "Load step failed", { exposeDetails: false }).body
+        .message,
+      "Load step failed",
+    );
+    assert.equal(
+      toErrorResponse(error, "Load step failed").body.message,
+      "System.NullReferenceException at ...",
+    );
+  });
+
+  it("hides internal error messages when details are not exposed", () => {
+    const { status, body } = toErrorResponse(
+      new ApiError(500, "Missing env vars: baseUrl", { code: "CONFIG_ERROR" }),
+      "Init journey failed",
+      { exposeDetails: false },
+    );
+
+    assert.equal(status, 500);
+    assert.equal(body.code, "CONFIG_ERROR");
+    assert.equal(body.message, "Init journey failed");
+  });
+
+  it("maps unreachable upstreams to 503", () => {
+    const error = new Error("connect ECONNREFUSED");
+    error.code = "ECONNREFUSED";
+
+    const { status, body } = toErrorResponse(error, "Load step failed");
+
+    assert.equal(status, 503);
+    assert.equal(body.code, "UPSTREAM_UNAVAILABLE");
+  });
+});
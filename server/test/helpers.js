@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const express = require("express");
+
+const endpoints = {
+  FINTECHOS_CULTURE: "en-GB",
+  FINTECHOS_START_ENDPOINT: "/ftosapi/digitaljourney/start",
+  FINTECHOS_LOAD_METADATA_ENDPOINT: "/ftosapi/digitaljourney/loadMetadata",
+  FINTECHOS_LOAD_STEP_ENDPOINT: "/ftosapi/digitaljourney/loadStep",
+  FINTECHOS_NEXT_ENDPOINT: "/ftosapi/digitaljourney/next",
+  FINTECHOS_PREVIOUS_ENDPOINT: "/ftosapi/digitaljourney/previous",
+  FINTECHOS_CLIENT_ID: "test-client",
+  FINTECHOS_CLIENT_SECRET: "test-secret",
+  FINTECHOS_PFAPI_TOKEN_ENDPOINT: "/pfapi/Authentication/token",
+  FINTECHOS_AVAILABLE_OFFERS: "/pfapi/api/v1/product/offer",
+  FINTECHOS_OFFER_DETAILS_ENDPOINT: "/pfapi/api/v1/product/offer",
+  FINTECHOS_DOCUMENT_UPLOAD_ENDPOINT: "/ftosapi/digitaljourney/uploadDocument",
+};
+
+// Suites that exercise the limits set these before startUpstream().
+const relaxedLimits = {
+  RATE_LIMIT_PER_IP: "10000",
+  RATE_LIMIT_PER_SESSION: "10000",
+  RATE_LIMIT_INIT_PER_IP: "10000",
+  RATE_LIMIT_OFFERS_PER_IP: "10000",
+  RATE_LIMIT_SAVE_PER_IP: "10000",
+  MAX_JOURNEYS_PER_SESSION: "10000",
+};
+
+// Suites that exercise the offer cache turn it back on.
+const uncachedOffers = {
+  OFFER_DETAILS_CACHE_TTL_SECONDS: "0",
+  OFFER_AVAILABILITY_CACHE_TTL_SECONDS: "0",
+};
+
+// Suites that inspect the logs pick their own level.
+const quietLogs = {
+  LOG_LEVEL: "silent",
+};
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+function urlOf(server) {
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function startUpstream() {
+  Object.assign(process.env, endpoints);
+  for (const [name, value] of Object.entries({
+    ...relaxedLimits,
+    ...uncachedOffers,
+    ...quietLogs,
+  })) {
+    process.env[name] ??= value;
+  }
+  const { createMockServer } = require("../mock");
+
+  const calls = [];
+  let overrides = [];
+  const stub = express();
+  stub.use(express.json());
+  stub.use(express.urlencoded({ extended: false }));
+  stub.use((req, res, next) => {
+    calls.push({
+      method: req.method,
+      path: req.path,
+      body: req.body,
+      headers: req.headers,
+    });
+    const override = overrides.find(
+      (entry) => entry.method === req.method && req.path.startsWith(entry.path),
+    );
+    return override ? override.handler(req, res, next) : next();
+  });
+  stub.use(createMockServer());
+
+  const server = await listen(stub);
+
+  return {
+    url: urlOf(server),
+    calls,
+    override(method, path, handler) {
+      overrides.push({ method, path, handler });
+    },
+    reset() {
+      overrides = [];
+      calls.length = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+async function startProxy(upstream) {
+  process.env.FINTECHOS_BASE_URL = upstream.url;
+  delete process.env.FINTECHOS_PFAPI_BASE_URL;
+  delete process.env.FINTECHOS_USER_NAME;
+  delete process.env.FINTECHOS_PASSWORD;
+
+  const { app, config } = require("../index");
+  const server = await listen(app);
+  const baseUrl = urlOf(server);
+
+  function client() {
+    const cookies = new Map();
+
+    async function request(path, init = {}) {
+      const cookie = [...cookies]
+        .map(([name, value]) => `${name}=${value}`)
+        .join("; ");
+      const response = await fetch(`${baseUrl}${path}`, {
+        ...init,
+        headers: { ...(init.headers || {}), ...(cookie ? { cookie } : {}) },
+      });
+
+      for (const header of response.headers.getSetCookie()) {
+        const [pair] = header.split(";");
+        const index = pair.indexOf("=");
+        cookies.set(pair.slice(0, index), pair.slice(index + 1));
+      }
+
+      return response;
+    }
+
+    async function post(path, body = {}) {
+      const response = await request(path, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      return { status: response.status, body: await response.json() };
+    }
+
+    return { cookies, request, post };
+  }
+
+  return {
+    baseUrl,
+    config,
+    client,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// An RSA key that signs JWTs and publishes itself as a JWK.
+function createSigningKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  return {
+    jwk: { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256" },
+    sign(claims) {
+      const encode = (value) =>
+        Buffer.from(JSON.stringify(value)).toString("base64url");
+      const input = `${encode({ alg: "RS256", kid })}.${encode(claims)}`;
+      const signature = crypto.sign("sha256", Buffer.from(input), privateKey);
+      return `${input}.${signature.toString("base64url")}`;
+    },
+  };
+}
+
+module.exports = {
+  startUpstream,
+  startProxy,
+  createSigningKey,
+};
@@ -0,0 +1,355 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+
+const customerValues = [
+  { attribute: "firstName", value: "Ana" },
+  { attribute: "lastName", value: "Popescu" },
+];
+
+describe("journey routes", () => {
+  let upstream;
+  let proxy;
+  let browser;
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => {
+    browser = proxy.client();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+  });
+
+  async function init(client = browser) {
+    const { status, body } = await client.post("/api/journey/init");
+    assert.equal(status, 200);
+    return body;
+  }
+
+  describe("POST /api/journey/init", () => {
+    it("loads metadata, starts the journey and returns the first step", async () => {
+      const body = await init();
+
+      assert.ok(body.externalId);
+      assert.equal(body.start.externalId, body.externalId);
+      assert.equal(body.metadata.journeyName, "externalJourneyExample");
+      assert.equal(body.step.journeyStep, "Customer-1");
+      assert.equal(body.step.properties.nextButton.show, true);
+      assert.equal(body.step.properties.previousButton.show, false);
+    });
+
+    it("fails when start does not return an externalId", async () => {
+      upstream.override("POST", "/ftosapi/digitaljourney/start", (_req, res) =>
+        res.json({}),
+      );
+
+      const { status, body } = await browser.post("/api/journey/init");
+
+      assert.equal(status, 502);
+      assert.equal(body.code, "UPSTREAM_ERROR");
+      assert.equal(body.message, "Start Journey did not return externalId");
+    });
+
+    it("rejects forwarded bearer tokens by default", async () => {
+      const response = await browser.request("/api/journey/init", {
+        method: "POST",
+        headers: { Authorization: "Bearer browser-token" },
+      });
+
+      assert.equal(response.status, 401);
+      assert.equal((await response.json()).code, "FORWARDED_TOKEN_NOT_ALLOWED");
+      assert.equal(upstream.calls.length, 0);
+    });
+  });
+
+  describe("journey session", () => {
+    it("sets an HTTP-only session cookie on init", async () => {
+      const response = await browser.request("/api/journey/init", {
+        method: "POST",
+      });
+
+      const [cookie] = response.headers.getSetCookie();
+      assert.match(cookie, /^journey_sid=/);
+      assert.match(cookie, /HttpOnly/);
+    });
+
+    it("requires a session", async () => {
+      const { status, body } = await browser.post("/api/journey/load-step", {
+        externalId: "any",
+      });
+
+      assert.equal(status, 401);
+      assert.equal(body.code, "SESSION_REQUIRED");
+    });
+
+    it("rejects a tampered session cookie", async () => {
+      await init();
+      const [name, value] = [...browser.cookies][0];
+      browser.cookies.set(name, `${value.split(".")[0]}.forged`);
+
+      const { status } = await browser.post("/api/journey/load-step");
+
+      assert.equal(status, 401);
+    });
+
+    it("rejects another session's externalId", async () => {
+      await init();
+      const other = await init(proxy.client());
+
+      for (const route of ["load-step", "next", "previous"]) {
+        const { status, body } = await browser.post(`/api/journey/${route}`, {
+          externalId: other.externalId,
+        });
+
+        assert.equal(status, 403);
+        assert.equal(body.code, "SESSION_MISMATCH");
+      }
+    });
+
+    it("resolves externalId from the session", async () => {
+      const { externalId } = await init();
+
+      const { status, body } = await browser.post("/api/journey/next", {
+        values: customerValues,
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.externalId, externalId);
+    });
+  });
+
+  describe("POST /api/journey/load-step", () => {
+    it("returns the current step", async () => {
+      const { externalId } = await init();
+
+      const { status, body } = await browser.post("/api/journey/load-step", {
+        externalId,
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.journeyStep, "Customer-1");
+    });
+  });
+
+  describe("POST /api/journey/next", () => {
+    it("sends values upstream and returns the loaded next step", async () => {
+      const { externalId } = await init();
+
+      const { status, body } = await browser.post("/api/journey/next", {
+        externalId,
+        values: customerValues,
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.externalId, externalId);
+      assert.equal(body.step.journeyStep, "Address-1");
+      const nextCall = upstream.calls.find(
+        (call) => call.path === `/ftosapi/digitaljourney/next/${externalId}`,
+      );
+      assert.deepEqual(nextCall.body, { values: customerValues });
+    });
+
+    it("loads the step for the instanceId returned by next", async () => {
+      const first = await init();
+      const second = await init(proxy.client());
+      upstream.override("POST", "/ftosapi/digitaljourney/next", (_req, res) =>
+        res.json({ instanceId: second.externalId }),
+      );
+
+      const { status, body } = await browser.post("/api/journey/next", {
+        externalId: first.externalId,
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.externalId, second.externalId);
+      assert.ok(
+        upstream.calls.some(
+          (call) =>
+            call.path ===
+            `/ftosapi/digitaljourney/loadStep/${second.externalId}`,
+        ),
+      );
+    });
+
+    it("falls back to the request externalId", async () => {
+      const { externalId } = await init();
+      upstream.override("POST", "/ftosapi/digitaljourney/next", (_req, res) =>
+        res.json({}),
+      );
+
+      const { status, body } = await browser.post("/api/journey/next", {
+        externalId,
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.externalId, externalId);
+      assert.equal(body.step.journeyStep, "Customer-1");
+    });
+
+    it("retries load-step while it returns 404 with a message", async () => {
+      const { externalId } = await init();
+      upstream.reset();
+      let failures = 2;
+      upstream.override(
+        "GET",
+        "/ftosapi/digitaljourney/loadStep",
+        (_req, res, next) => {
+          if (failures === 0) {
+            return next();
+          }
+          failures -= 1;
+          return res.status(404).json({ message: "Step not ready" });
+        },
+      );
+
+      const { status, body } = await browser.post("/api/journey/next", {
+        externalId,
+        values: customerValues,
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.step.journeyStep, "Address-1");
+      const loadCalls = upstream.calls.filter((call) =>
+        call.path.startsWith("/ftosapi/digitaljourney/loadStep"),
+      );
+      assert.equal(loadCalls.length, 3);
+    });
+
+    it("does not retry a 404 without a message", async () => {
+      const { externalId } = await init();
+      upstream.reset();
+      upstream.override(
+        "GET",
+        "/ftosapi/digitaljourney/loadStep",
+        (_req, res) => res.status(404).json({}),
+      );
+
+      const { status } = await browser.post("/api/journey/next", {
+        externalId,
+        values: customerValues,
+      });
+
+      assert.equal(status, 404);
+      const loadCalls = upstream.calls.filter((call) =>
+        call.path.startsWith("/ftosapi/digitaljourney/loadStep"),
+      );
+      assert.equal(loadCalls.length, 1);
+    });
+  });
+
+  describe("POST /api/journey/previous", () => {
+    it("returns the previous step", async () => {
+      const { externalId } = await init();
+      await browser.post("/api/journey/next", {
+        externalId,
+        values: customerValues,
+      });
+
+      const { status, body } = await browser.post("/api/journey/previous", {
+        externalId,
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.step.journeyStep, "Customer-1");
+    });
+  });
+
+  describe("upstream errors", () => {
+    it("passes through validation errors with field errors", async () => {
+      const { externalId } = await init();
+      upstream.override("POST", "/ftosapi/digitaljourney/next", (_req, res) =>
+        res
+          .status(422)
+          .set("x-correlation-id", "corr-1")
+          .json({
+            message: "Validation failed",
+            errors: [{ attribute: "firstName", message: "Required" }],
+          }),
+      );
+
+      const { status, body } = await browser.post("/api/journey/next", {
+        externalId,
+      });
+
+      assert.equal(status, 422);
+      assert.equal(body.code, "VALIDATION_ERROR");
+      assert.equal(body.message, "Validation failed");
+      assert.deepEqual(body.fieldErrors, [
+        { field: "firstName", message: "Required" },
+      ]);
+      assert.equal(body.upstreamStatus, 422);
+      assert.equal(body.correlationId, "corr-1");
+    });
+
+    it("keys field errors by submitted attribute name", async () => {
+      const { externalId } = await init();
+      upstream.override("POST", "/ftosapi/digitaljourney/next", (_req, res) =>
+        res.status(400).json({
+          title: "One or more validation errors occurred.",
+          errors: {
+            "values[1].value": ["Too short"],
+            FIRSTNAME: ["Not allowed"],
+          },
+        }),
+      );
+
+      const { status, body } = await browser.post("/api/journey/next", {
+        externalId,
+        values: customerValues,
+      });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.errorsByField, {
+        lastName: "Too short",
+        firstName: "Not allowed",
+      });
+    });
+
+    it("returns required field errors from the journey", async () => {
+      const { externalId } = await init();
+
+      const { status, body } = await browser.post("/api/journey/next", {
+        externalId,
+        values: [{ attribute: "firstName", value: "Ana" }],
+      });
+
+      assert.equal(status, 422);
+      assert.deepEqual(body.errorsByField, {
+        lastName: "Last name is required",
+      });
+    });
+
+    it("maps upstream server errors to 502", async () => {
+      const { externalId } = await init();
+      upstream.override("POST", "/ftosapi/digitaljourney/next", (_req, res) =>
+        res.status(500).json({ Message: "Boom" }),
+      );
+
+      const { status, body } = await browser.post("/api/journey/next", {
+        externalId,
+      });
+
+      assert.equal(status, 502);
+      assert.equal(body.code, "UPSTREAM_ERROR");
+      assert.equal(body.upstreamStatus, 500);
+      assert.deepEqual(body.details, { Message: "Boom" });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startUpstream, startProxy } = require("./helpers");
+
+describe("journey registry", () => {
+  let upstream;
+  let proxy;
+  let browser;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "journeys-"));
+    const filePath = path.join(dir, "journeys.json");
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({
+        defaultJourney: "current-account",
+        journeys: [
+          {
+            key: "current-account",
+            name: "Current account",
+            description: "Open a current account",
+          },
+          {
+            key: "business",
+            name: "Business account",
+            culture: "ro-RO",
+            offers: { product: "BIZ1", className: "Business" },
+          },
+        ],
+      }),
+    );
+    process.env.JOURNEYS_FILE = filePath;
+
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    browser = proxy.client();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+  });
+
+  it("lists the catalog", async () => {
+    const response = await browser.request("/api/journeys");
+
+    assert.deepEqual(await response.json(), {
+      defaultJourney: "current-account",
+      journeys: [
+        {
+          key: "current-account",
+          name: "Current account",
+          description: "Open a current account",
+        },
+        { key: "business", name: "Business account", description: "" },
+      ],
+    });
+  });
+
+  it("starts the default journey without a journeyKey", async () => {
+    const { status, body } = await browser.post("/api/journey/init");
+
+    assert.equal(status, 200);
+    assert.equal(body.journeyKey, "current-account");
+  });
+
+  it("uses the selected journey's culture and offer defaults", async () => {
+    const { body } = await browser.post("/api/journey/init", {
+      journeyKey: "business",
+    });
+    await browser.post("/api/offers/available");
+
+    assert.equal(body.journeyKey, "business");
+    assert.equal(body.step.culture, "ro-RO");
+    const availableCall = upstream.calls.find(
+      (call) => call.path === "/pfapi/api/v1/product/offer/available",
+    );
+    assert.equal(availableCall.body.Product, "BIZ1");
+    assert.equal(availableCall.body.Class, "Business");
+    assert.equal(availableCall.body.Input.ProductDependency, "SharesAccount");
+
+    const next = await browser.post("/api/journey/load-step");
+    assert.equal(next.body.culture, "ro-RO");
+  });
+
+  it("rejects unknown journeys", async () => {
+    const { status, body } = await browser.post("/api/journey/init", {
+      journeyKey: "missing",
+    });
+
+    assert.equal(status, 404);
+    assert.equal(body.code, "JOURNEY_NOT_FOUND");
+  });
+});
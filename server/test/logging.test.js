@@ -0,0 +1,220 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+const { createLogger, createRedactor, runWithContext } = require("../logger");
+
+describe("createRedactor", () => {
+  it("redacts secrets at any depth", () => {
+    const redact = createRedactor({ keys: ["x-session"] });
+
+    assert.deepEqual(
+      redact({
+        headers: { Authorization: "Bearer abc", "X-Session": "s1" },
+        body: { clientId: "id", clientSecret: "secret", password: "pw" },
+        access_token: "token",
+      }),
+      {
+        headers: { Authorization: "[REDACTED]", "X-Session": "[REDACTED]" },
+        body: {
+          clientId: "id",
+          clientSecret: "[REDACTED]",
+          password: "[REDACTED]",
+        },
+        access_token: "[REDACTED]",
+      },
+    );
+  });
+
+  it("redacts every answer by default", () => {
+    const redact = createRedactor();
+
+    assert.deepEqual(
+      redact({
+        values: [{ attribute: "lastName", value: "Popescu" }],
+        Input: { MonthlyIncome: 7000, ProductDependency: "SharesAccount" },
+        externalId: "ext-1",
+      }),
+      {
+        values: [{ attribute: "lastName", value: "[REDACTED]" }],
+        Input: { MonthlyIncome: "[REDACTED]", ProductDependency: "[REDACTED]" },
+        externalId: "ext-1",
+      },
+    );
+  });
+
+  it("only redacts the configured PII attributes", () => {
+    const redact = createRedactor({ attributes: ["lastName", "email"] });
+
+    assert.deepEqual(
+      redact({
+        values: [
+          { attribute: "firstName", value: "Ana" },
+          { attribute: "lastName", value: "Popescu" },
+        ],
+        customer: { email: "ana@example.com", city: "Cluj" },
+      }),
+      {
+        values: [
+          { attribute: "firstName", value: "Ana" },
+          { attribute: "lastName", value: "[REDACTED]" },
+        ],
+        customer: { email: "[REDACTED]", city: "Cluj" },
+      },
+    );
+  });
+
+  it("redacts secrets in form-encoded token requests", () => {
+    const redact = createRedactor();
+
+    assert.deepEqual(
+      redact({
+        data: "grant_type=client_credentials&client_id=id&client_secret=s%26cret",
+        form: new URLSearchParams({
+          grant_type: "authorization_code",
+          code: "abc",
+          code_verifier: "verifier",
+          refresh_token: "refresh",
+          redirect_uri: "https://apply.example.com/callback",
+        }),
+      }),
+      {
+        data: "grant_type=client_credentials&client_id=id&client_secret=[REDACTED]",
+        form:
+          "grant_type=authorization_code&code=[REDACTED]&code_verifier=[REDACTED]" +
+          "&refresh_token=[REDACTED]" +
+          "&redirect_uri=https%3A%2F%2Fapply.example.com%2Fcallback",
+      },
+    );
+  });
+});
+
+describe("createLogger", () => {
+  function capture(options) {
+    const lines = [];
+    const logger = createLogger({
+      ...options,
+      write: (line) => lines.push(JSON.parse(line)),
+      now: () => new Date("2026-01-01T00:00:00Z"),
+    });
+    return { logger, lines };
+  }
+
+  it("writes one JSON line per entry at or above the level", () => {
+    const { logger, lines } = capture({ level: "info" });
+
+    logger.debug("hidden");
+    logger.info("Shown", { status: 200, password: "pw" });
+
+    assert.deepEqual(lines, [
+      {
+        time: "2026-01-01T00:00:00.000Z",
+        level: "info",
+        msg: "Shown",
+        status: 200,
+        password: "[REDACTED]",
+      },
+    ]);
+  });
+
+  it("adds the request ID from the context and child bindings", async () => {
+    const { logger, lines } = capture({ level: "debug" });
+
+    await runWithContext({ requestId: "req-1" }, async () => {
+      await Promise.resolve();
+      logger.child({ component: "cache" }).debug("Purged");
+    });
+
+    assert.equal(lines[0].requestId, "req-1");
+    assert.equal(lines[0].component, "cache");
+  });
+
+  it("rejects unknown levels", () => {
+    assert.throws(
+      () => createLogger({ level: "verbose" }),
+      /Unknown log level/,
+    );
+  });
+});
+
+describe("request logging", () => {
+  let upstream;
+  let proxy;
+  let lines;
+  let originalWrite;
+
+  before(async () => {
+    process.env.LOG_LEVEL = "debug";
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+
+    lines = [];
+    originalWrite = process.stdout.write;
+    process.stdout.write = function write(chunk, ...rest) {
+      const text = String(chunk);
+      if (text.startsWith("{")) {
+        lines.push(JSON.parse(text));
+        return true;
+      }
+      return originalWrite.call(this, chunk, ...rest);
+    };
+  });
+
+  after(async () => {
+    process.stdout.write = originalWrite;
+    await proxy.close();
+    await upstream.close();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+    lines.length = 0;
+  });
+
+  it("forwards the caller's X-Request-Id to FintechOS", async () => {
+    const response = await proxy.client().request("/api/journey/init", {
+      method: "POST",
+      headers: { "X-Request-Id": "checkout-42" },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("x-request-id"), "checkout-42");
+    assert.ok(upstream.calls.length > 0);
+    for (const call of upstream.calls) {
+      assert.equal(call.headers["x-request-id"], "checkout-42");
+    }
+  });
+
+  it("generates a request ID when none or an invalid one is sent", async () => {
+    const response = await proxy
+      .client()
+      .request("/api/journeys", { headers: { "X-Request-Id": "not valid!" } });
+
+    assert.match(response.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  it("logs timed upstream calls and redacts answers and secrets", async () => {
+    const browser = proxy.client();
+    const { body } = await browser.post("/api/journey/init");
+    await browser.post("/api/journey/next", {
+      externalId: body.externalId,
+      values: [
+        { attribute: "firstName", value: "Ana" },
+        { attribute: "lastName", value: "Popescu" },
+      ],
+    });
+
+    const output = JSON.stringify(lines);
+    assert.doesNotMatch(output, /Popescu|test-secret/);
+
+    const responses = lines.filter((line) => line.msg === "FintechOS response");
+    assert.ok(responses.length > 0);
+    for (const line of responses) {
+      assert.equal(typeof line.durationMs, "number");
+      assert.ok(line.requestId);
+    }
+
+    const completed = lines.find((line) => line.msg === "Request completed");
+    assert.equal(completed.status, 200);
+    assert.equal(completed.path, "/api/journey/init");
+  });
+});
@@ -0,0 +1,284 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startUpstream, startProxy, createSigningKey } = require("./helpers");
+
+describe("customer login", () => {
+  const realm = "/realms/shop";
+  const key = createSigningKey("login-key");
+  const pending = new Map();
+  const outbox = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "login-test-")),
+    "outbox.jsonl",
+  );
+  let upstream;
+  let proxy;
+  let issuer;
+
+  async function fintechosToken(sub) {
+    const response = await fetch(`${upstream.url}/pfapi/Authentication/token`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ clientId: sub, clientSecret: "customer" }),
+    });
+    return (await response.json()).accessToken;
+  }
+
+  function stubKeycloak() {
+    upstream.override(
+      "GET",
+      `${realm}/.well-known/openid-configuration`,
+      (_req, res) =>
+        res.json({
+          issuer,
+          authorization_endpoint: `${issuer}/auth`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/certs`,
+          end_session_endpoint: `${issuer}/logout`,
+        }),
+    );
+    upstream.override("GET", `${realm}/certs`, (_req, res) =>
+      res.json({ keys: [key.jwk] }),
+    );
+    upstream.override("POST", `${realm}/token`, async (req, res) => {
+      if (req.body.grant_type === "refresh_token") {
+        return res.json({
+          access_token: await fintechosToken("customer-1"),
+          refresh_token: "refresh-2",
+          expires_in: 3600,
+        });
+      }
+
+      const login = pending.get(req.body.code);
+      const challenge = crypto
+        .createHash("sha256")
+        .update(req.body.code_verifier || "")
+        .digest("base64url");
+      if (!login || challenge !== login.challenge) {
+        return res.status(400).json({ error: "invalid_grant" });
+      }
+      pending.delete(req.body.code);
+      return res.json({
+        access_token: await fintechosToken(login.sub),
+        refresh_token: "refresh-1",
+        expires_in: login.expiresIn,
+        id_token: key.sign({
+          iss: issuer,
+          aud: "journey-web",
+          sub: login.sub,
+          name: "Ana Popescu",
+          email: "ana@example.com",
+          nonce: login.nonce,
+          exp: Math.floor(Date.now() / 1000) + 300,
+        }),
+      });
+    });
+  }
+
+  async function signIn(
+    browser,
+    { sub = "customer-1", expiresIn = 3600 } = {},
+  ) {
+    const login = await browser.request("/api/auth/login?returnTo=/apply", {
+      redirect: "manual",
+    });
+    assert.equal(login.status, 302);
+    const params = new URL(login.headers.get("location")).searchParams;
+    assert.equal(params.get("code_challenge_method"), "S256");
+
+    const code = crypto.randomUUID();
+    pending.set(code, {
+      sub,
+      expiresIn,
+      nonce: params.get("nonce"),
+      challenge: params.get("code_challenge"),
+    });
+    return browser.request(
+      `/api/auth/callback?code=${code}&state=${params.get("state")}`,
+      { redirect: "manual" },
+    );
+  }
+
+  before(async () => {
+    upstream = await startUpstream();
+    issuer = `${upstream.url}${realm}`;
+    Object.assign(process.env, {
+      OIDC_ISSUER: issuer,
+      OIDC_CLIENT_ID: "journey-web",
+      OIDC_REDIRECT_URI: "http://localhost:5173/api/auth/callback",
+      NOTIFIER_TRANSPORT: "file",
+      NOTIFIER_FILE: outbox,
+    });
+    stubKeycloak();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  afterEach(() => {
+    upstream.calls.length = 0;
+  });
+
+  it("reports that login is available", async () => {
+    const response = await proxy.client().request("/api/auth/me");
+
+    assert.deepEqual(await response.json(), {
+      enabled: true,
+      required: false,
+      user: null,
+    });
+  });
+
+  it("signs in with PKCE and runs journeys with the customer's token", async () => {
+    const browser = proxy.client();
+
+    const callback = await signIn(browser);
+
+    assert.equal(callback.status, 302);
+    assert.equal(callback.headers.get("location"), "/apply");
+    const me = await (await browser.request("/api/auth/me")).json();
+    assert.deepEqual(me.user, {
+      sub: "customer-1",
+      name: "Ana Popescu",
+      email: "ana@example.com",
+    });
+
+    upstream.calls.length = 0;
+    const { status } = await browser.post("/api/journey/init");
+
+    assert.equal(status, 200);
+    const metadataCall = upstream.calls.find((call) =>
+      call.path.startsWith("/ftosapi/digitaljourney/loadMetadata"),
+    );
+    const claims = JSON.parse(
+      Buffer.from(
+        metadataCall.headers.authorization.split(".")[1],
+        "base64url",
+      ).toString(),
+    );
+    assert.equal(claims.sub, "customer-1");
+  });
+
+  it("lists and resumes the customer's applications on another device", async () => {
+    const laptop = proxy.client();
+    await signIn(laptop, { sub: "customer-2" });
+    const { body: started } = await laptop.post("/api/journey/init");
+
+    const phone = proxy.client();
+    await signIn(phone, { sub: "customer-2" });
+    const listed = await (await phone.request("/api/applications")).json();
+
+    assert.equal(listed.applications.length, 1);
+    assert.equal(listed.applications[0].externalId, started.externalId);
+    assert.equal(listed.applications[0].journeyName, "Default journey");
+    assert.equal(listed.applications[0].step, started.step.journeyStep);
+
+    const resumed = await phone.post("/api/journey/resume", {
+      externalId: started.externalId,
+    });
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.step.journeyStep, started.step.journeyStep);
+
+    const { status } = await phone.post("/api/journey/load-step");
+    assert.equal(status, 200);
+  });
+
+  it("does not resume another customer's application", async () => {
+    const owner = proxy.client();
+    await signIn(owner, { sub: "customer-3" });
+    const { body: started } = await owner.post("/api/journey/init");
+
+    const other = proxy.client();
+    await signIn(other, { sub: "customer-4" });
+    const { status, body } = await other.post("/api/journey/resume", {
+      externalId: started.externalId,
+    });
+
+    assert.equal(status, 404);
+    assert.equal(body.code, "APPLICATION_NOT_FOUND");
+  });
+
+  it("asks for the owner's sign-in before resuming their saved link", async () => {
+    const laptop = proxy.client();
+    await signIn(laptop, { sub: "customer-5" });
+    const { body: started } = await laptop.post("/api/journey/init");
+    await laptop.post("/api/journey/save", {
+      externalId: started.externalId,
+      email: "ana@example.com",
+    });
+    const lines = fs.readFileSync(outbox, "utf8").trim().split("\n");
+    const { link } = JSON.parse(lines[lines.length - 1]);
+    const token = link.split("/resume/")[1];
+
+    const phone = proxy.client();
+    const anonymous = await phone.post("/api/journey/resume", { token });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, "LOGIN_REQUIRED");
+
+    await signIn(phone, { sub: "customer-5" });
+    const resumed = await phone.post("/api/journey/resume", { token });
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.externalId, started.externalId);
+  });
+
+  it("refreshes an expired customer token", async () => {
+    const browser = proxy.client();
+    await signIn(browser, { expiresIn: 0 });
+
+    const { status } = await browser.post("/api/journey/init");
+
+    assert.equal(status, 200);
+    assert.ok(
+      upstream.calls.some(
+        (call) =>
+          call.path === `${realm}/token` &&
+          call.body.grant_type === "refresh_token" &&
+          call.body.refresh_token === "refresh-1",
+      ),
+    );
+  });
+
+  it("redirects back with an error when the state does not match", async () => {
+    const browser = proxy.client();
+    await browser.request("/api/auth/login?returnTo=/apply", {
+      redirect: "manual",
+    });
+
+    const callback = await browser.request(
+      "/api/auth/callback?code=abc&state=forged",
+      { redirect: "manual" },
+    );
+
+    assert.equal(
+      callback.headers.get("location"),
+      "/apply?loginError=LOGIN_FAILED",
+    );
+  });
+
+  it("requires a signed-in customer for the applications list", async () => {
+    const response = await proxy.client().request("/api/applications");
+
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).code, "LOGIN_REQUIRED");
+  });
+
+  it("signs out and returns the end-session URL", async () => {
+    const browser = proxy.client();
+    await signIn(browser);
+
+    const { status, body } = await browser.post("/api/auth/logout");
+
+    assert.equal(status, 200);
+    const logoutUrl = new URL(body.logoutUrl);
+    assert.equal(logoutUrl.pathname, `${realm}/logout`);
+    assert.ok(logoutUrl.searchParams.get("id_token_hint"));
+    const me = await (await browser.request("/api/auth/me")).json();
+    assert.equal(me.user, null);
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+const { createMetricsRegistry } = require("../metrics");
+
+describe("createMetricsRegistry", () => {
+  it("renders counters, histograms and collected values", () => {
+    const metrics = createMetricsRegistry();
+    const requests = metrics.counter({
+      name: "requests_total",
+      help: "Requests",
+      labelNames: ["route"],
+    });
+    const latency = metrics.histogram({
+      name: "latency_seconds",
+      help: "Latency",
+      buckets: [0.1, 1],
+    });
+    metrics.collector({
+      name: "cache_entries",
+      help: "Entries",
+      collect: () => [{ labels: { cache: "details" }, value: 3 }],
+    });
+
+    requests.inc({ route: '/a"b' });
+    requests.inc({ route: '/a"b' }, 2);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+
+    assert.equal(
+      metrics.render(),
+      [
+        "# HELP requests_total Requests",
+        "# TYPE requests_total counter",
+        'requests_total{route="/a\\"b"} 3',
+        "# HELP latency_seconds Latency",
+        "# TYPE latency_seconds histogram",
+        'latency_seconds_bucket{le="0.1"} 1',
+        'latency_seconds_bucket{le="1"} 2',
+        'latency_seconds_bucket{le="+Inf"} 2',
+        "latency_seconds_sum 0.55",
+        "latency_seconds_count 2",
+        "# HELP cache_entries Entries",
+        "# TYPE cache_entries gauge",
+        'cache_entries{cache="details"} 3',
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("rejects duplicate metric names", () => {
+    const metrics = createMetricsRegistry();
+    metrics.counter({ name: "requests_total", help: "Requests" });
+    assert.throws(
+      () => metrics.counter({ name: "requests_total", help: "Again" }),
+      /already registered/,
+    );
+  });
+});
+
+describe("metrics and readiness endpoints", () => {
+  const tokenPath = "/pfapi/Authentication/token";
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    process.env.METRICS_TOKEN = "metrics-secret";
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+  });
+
+  async function scrape() {
+    const response = await fetch(`${proxy.baseUrl}/metrics`, {
+      headers: { Authorization: "Bearer metrics-secret" },
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/plain/);
+    return response.text();
+  }
+
+  it("reports not ready when FintechOS rejects the credentials", async () => {
+    upstream.override("POST", tokenPath, (_req, res) =>
+      res.status(401).json({ message: "Invalid client" }),
+    );
+
+    const response = await fetch(`${proxy.baseUrl}/api/health/ready`);
+    const body = await response.json();
+
+    assert.equal(response.status, 503);
+    assert.equal(body.ok, false);
+    assert.deepEqual(body.checks.config, { ok: true });
+    assert.deepEqual(body.checks.fintechos, {
+      ok: false,
+      code: "UNAUTHORIZED",
+      message: "Invalid client",
+    });
+    assert.equal(body.checks.pfapi.ok, false);
+  });
+
+  it("reports ready once config and auth check out", async () => {
+    const response = await fetch(`${proxy.baseUrl}/api/health/ready`);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      ok: true,
+      checks: {
+        config: { ok: true },
+        fintechos: { ok: true },
+        pfapi: { ok: true },
+      },
+    });
+  });
+
+  it("skips PFAPI when offers are not configured", async () => {
+    const original = proxy.config.availableOffersEndpoint;
+    proxy.config.availableOffersEndpoint = "";
+
+    try {
+      const response = await fetch(`${proxy.baseUrl}/api/health/ready`);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual((await response.json()).checks, {
+        config: { ok: true },
+        fintechos: { ok: true },
+      });
+    } finally {
+      proxy.config.availableOffersEndpoint = original;
+    }
+  });
+
+  it("requires the metrics token when one is configured", async () => {
+    const response = await fetch(`${proxy.baseUrl}/metrics`);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).code, "METRICS_REQUIRED");
+  });
+
+  it("counts requests, upstream calls, tokens, errors and the funnel", async () => {
+    const browser = proxy.client();
+    const { body } = await browser.post("/api/journey/init");
+    await browser.post("/api/journey/next", {
+      externalId: body.externalId,
+      values: [
+        { attribute: "firstName", value: "Ana" },
+        { attribute: "lastName", value: "Popescu" },
+      ],
+    });
+    await browser.post("/api/journey/load-step", { externalId: "unknown" });
+
+    const text = await scrape();
+
+    assert.match(
+      text,
+      /http_requests_total\{method="POST",route="\/api\/journey\/init",status="200"\} 1/,
+    );
+    assert.match(
+      text,
+      /http_request_duration_seconds_count\{method="POST",route="\/api\/journey\/next"\} 1/,
+    );
+    assert.match(
+      text,
+      /upstream_requests_total\{upstream="FintechOS",endpoint="start",status="200"\} 1/,
+    );
+    assert.match(
+      text,
+      /upstream_request_duration_seconds_count\{upstream="FintechOS",endpoint="loadStep"\} 2/,
+    );
+    assert.match(
+      text,
+      /token_refreshes_total\{upstream="FintechOS",result="failure"\} 1/,
+    );
+    assert.match(
+      text,
+      /token_refreshes_total\{upstream="FintechOS",result="success"\} 1/,
+    );
+    assert.match(
+      text,
+      /api_errors_total\{status="403",code="SESSION_MISMATCH"\} 1/,
+    );
+    assert.match(
+      text,
+      /journey_events_total\{journey="default",event="started"\} 1/,
+    );
+    assert.match(
+      text,
+      /journey_events_total\{journey="default",event="next"\} 1/,
+    );
+    assert.match(
+      text,
+      /journey_steps_reached_total\{journey="default",step="Address-1"\} 1/,
+    );
+    assert.match(text, /upstream_circuit_open\{upstream="PFAPI"\} 0/);
+    assert.match(text, /offer_cache_entries\{cache="details"\} 0/);
+  });
+});
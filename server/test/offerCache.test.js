@@ -0,0 +1,251 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+const { createCache } = require("../cache");
+
+describe("createCache", () => {
+  let currentTime;
+  let cache;
+
+  beforeEach(() => {
+    currentTime = 0;
+    cache = createCache({
+      ttlMs: 1000,
+      staleMs: 5000,
+      now: () => currentTime,
+    });
+  });
+
+  it("serves fresh entries and shares concurrent loads", async () => {
+    let loads = 0;
+    const loader = async () => {
+      loads += 1;
+      return `value-${loads}`;
+    };
+
+    const [first, second] = await Promise.all([
+      cache.get("a", loader),
+      cache.get("a", loader),
+    ]);
+    currentTime = 999;
+    const third = await cache.get("a", loader);
+
+    assert.deepEqual([first, second, third], ["value-1", "value-1", "value-1"]);
+    assert.equal(loads, 1);
+    assert.deepEqual(cache.stats(), {
+      hits: 1,
+      misses: 2,
+      stale: 0,
+      refreshErrors: 0,
+      size: 1,
+    });
+  });
+
+  it("serves stale entries while revalidating", async () => {
+    let version = 1;
+    const loader = async () => `v${version}`;
+    await cache.get("a", loader);
+
+    version = 2;
+    currentTime = 1500;
+    assert.equal(await cache.get("a", loader), "v1");
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(await cache.get("a", loader), "v2");
+    assert.equal(cache.stats().stale, 1);
+  });
+
+  it("keeps the stale entry when revalidation fails", async () => {
+    await cache.get("a", async () => "v1");
+
+    currentTime = 1500;
+    const failing = async () => {
+      throw new Error("PFAPI down");
+    };
+    assert.equal(await cache.get("a", failing), "v1");
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(await cache.get("a", failing), "v1");
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(cache.stats().refreshErrors, 2);
+  });
+
+  it("reloads expired entries and does not cache failures", async () => {
+    await cache.get("a", async () => "v1");
+
+    currentTime = 6000;
+    await assert.rejects(
+      cache.get("a", async () => {
+        throw new Error("PFAPI down");
+      }),
+      /PFAPI down/,
+    );
+    assert.equal(cache.stats().size, 1);
+    assert.equal(await cache.get("a", async () => "v2"), "v2");
+  });
+
+  it("purges matching keys", async () => {
+    await cache.get("en-GB:a", async () => 1);
+    await cache.get("en-GB:b", async () => 2);
+
+    assert.equal(
+      cache.purge((key) => key.endsWith(":a")),
+      1,
+    );
+    assert.equal(cache.purge(), 1);
+    assert.equal(cache.stats().size, 0);
+  });
+
+  it("does not cache when the ttl is 0", async () => {
+    const uncached = createCache({ ttlMs: 0 });
+    let loads = 0;
+    await uncached.get("a", async () => (loads += 1));
+    await uncached.get("a", async () => (loads += 1));
+
+    assert.equal(loads, 2);
+    assert.equal(uncached.stats().size, 0);
+  });
+});
+
+describe("offer cache", () => {
+  let upstream;
+  let proxy;
+  let browser;
+
+  const admin = { Authorization: "Bearer admin-secret" };
+
+  before(async () => {
+    Object.assign(process.env, {
+      OFFER_DETAILS_CACHE_TTL_SECONDS: "60",
+      OFFER_AVAILABILITY_CACHE_TTL_SECONDS: "60",
+      SUPPORTED_CULTURES: "en-GB,ro-RO",
+      ADMIN_TOKEN: "admin-secret",
+      OFFER_INPUTS: "CustomerType=customerType",
+    });
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  beforeEach(async () => {
+    browser = proxy.client();
+    await browser.request("/api/admin/offers-cache", {
+      method: "DELETE",
+      headers: admin,
+    });
+    upstream.reset();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+  });
+
+  function callsTo(suffix) {
+    return upstream.calls.filter((call) => call.path.endsWith(suffix)).length;
+  }
+
+  function offersIn(language, body = {}) {
+    return browser.request("/api/offers/available", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept-Language": language,
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it("reuses availability and details for the same input", async () => {
+    const first = await browser.post("/api/offers/available");
+    const second = await browser.post("/api/offers/available");
+
+    assert.deepEqual(second.body, first.body);
+    assert.equal(callsTo("/available"), 1);
+    assert.equal(callsTo("/details"), 2);
+  });
+
+  it("keys availability by input and details by culture", async () => {
+    await browser.post("/api/offers/available");
+    await browser.post("/api/journey/init");
+    await browser.post("/api/journey/next", {
+      values: [
+        { attribute: "firstName", value: "Ana" },
+        { attribute: "lastName", value: "Popescu" },
+        { attribute: "customerType", value: "individual" },
+      ],
+    });
+    await browser.post("/api/offers/available");
+    assert.equal(callsTo("/available"), 2);
+    assert.equal(callsTo("/details"), 2);
+
+    await offersIn("ro-RO");
+    assert.equal(callsTo("/details"), 4);
+  });
+
+  async function cacheStats() {
+    const response = await browser.request("/api/admin/offers-cache", {
+      headers: admin,
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  }
+
+  it("reports hits and misses and purges on request", async () => {
+    const initial = await cacheStats();
+    await browser.post("/api/offers/available");
+    await browser.post("/api/offers/available");
+
+    const stats = await cacheStats();
+    assert.equal(stats.availability.hits - initial.availability.hits, 1);
+    assert.equal(stats.availability.misses - initial.availability.misses, 1);
+    assert.equal(stats.details.hits - initial.details.hits, 2);
+    assert.equal(stats.details.size, 2);
+
+    const purgeResponse = await browser.request(
+      "/api/admin/offers-cache?offerId=offer-basic",
+      { method: "DELETE", headers: admin },
+    );
+    const purge = await purgeResponse.json();
+    assert.deepEqual(purge.purged, { details: 1, availability: 0 });
+
+    await browser.post("/api/offers/available");
+    assert.equal(callsTo("/offer-basic/details"), 2);
+    assert.equal(callsTo("/offer-premium/details"), 1);
+  });
+
+  it("requires the admin token", async () => {
+    const missing = await browser.request("/api/admin/offers-cache", {
+      method: "DELETE",
+    });
+    assert.equal(missing.status, 401);
+    assert.equal((await missing.json()).code, "ADMIN_REQUIRED");
+
+    const wrong = await browser.request("/api/admin/offers-cache", {
+      headers: { Authorization: "Bearer nope" },
+    });
+    assert.equal(wrong.status, 401);
+  });
+
+  it("hides the admin API when no token is configured", async () => {
+    const original = proxy.config.adminToken;
+    proxy.config.adminToken = "";
+    try {
+      const response = await browser.request("/api/admin/offers-cache", {
+        headers: admin,
+      });
+      assert.equal(response.status, 404);
+    } finally {
+      proxy.config.adminToken = original;
+    }
+  });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startUpstream, startProxy } = require("./helpers");
+const {
+  parseOfferInputs,
+  offerInputAttributes,
+  buildOfferInput,
+} = require("../offerInputs");
+
+describe("offer inputs", () => {
+  const mapping = parseOfferInputs(
+    "CustomerType=customerType, MonthlyIncome=monthlyIncome:number, Age=birthDate:age",
+  );
+
+  it("parses the OFFER_INPUTS mapping", () => {
+    assert.deepEqual(mapping, {
+      CustomerType: "customerType",
+      MonthlyIncome: { attribute: "monthlyIncome", transform: "number" },
+      Age: { attribute: "birthDate", transform: "age" },
+    });
+    assert.deepEqual(offerInputAttributes(mapping), [
+      "customerType",
+      "monthlyIncome",
+      "birthDate",
+    ]);
+  });
+
+  it("rejects unknown transforms", () => {
+    assert.throws(
+      () => parseOfferInputs("Age=birthDate:years"),
+      /Unknown transform/,
+    );
+  });
+
+  it("builds the PFAPI input from collected answers", () => {
+    const input = buildOfferInput(
+      mapping,
+      {
+        customerType: "individual",
+        monthlyIncome: "6200",
+        birthDate: "1990-06-15",
+      },
+      new Date("2026-06-14T12:00:00Z"),
+    );
+
+    assert.deepEqual(input, {
+      CustomerType: "individual",
+      MonthlyIncome: 6200,
+      Age: 35,
+    });
+  });
+
+  it("leaves out answers that were not given", () => {
+    assert.deepEqual(
+      buildOfferInput(mapping, { customerType: "", birthDate: "not a date" }),
+      {},
+    );
+  });
+});
+
+describe("offer eligibility", () => {
+  let upstream;
+  let proxy;
+  let browser;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "offer-inputs-"));
+    Object.assign(process.env, {
+      SESSION_STORE: "file",
+      SESSION_FILE: path.join(dir, "sessions.json"),
+      OFFER_INPUTS:
+        "CustomerType=customerType,MonthlyIncome=monthlyIncome,Age=birthDate:age",
+      OFFERS_INCLUDE_FAILED_AUDIENCE: "true",
+    });
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    browser = proxy.client();
+  });
+
+  async function answer({ customerType, monthlyIncome }) {
+    await browser.post("/api/journey/init");
+    await browser.post("/api/journey/next", {
+      values: [
+        { attribute: "firstName", value: "Ana" },
+        { attribute: "lastName", value: "Popescu" },
+        { attribute: "customerType", value: customerType },
+      ],
+    });
+    await browser.post("/api/journey/next", { values: [] });
+    await browser.post("/api/journey/next", {
+      values: [
+        { attribute: "birthDate", value: "1990-06-15" },
+        { attribute: "monthlyIncome", value: monthlyIncome },
+        { attribute: "email", value: "ana@example.com" },
+      ],
+    });
+    upstream.reset();
+  }
+
+  it("sends mapped journey answers as the PFAPI input", async () => {
+    await answer({ customerType: "individual", monthlyIncome: 6200 });
+
+    await browser.post("/api/offers/available");
+
+    const availableCall = upstream.calls.find(
+      (call) => call.path === "/pfapi/api/v1/product/offer/available",
+    );
+    assert.equal(availableCall.body.IncludeFailedAudienceOffers, true);
+    const { Age, ...input } = availableCall.body.Input;
+    assert.deepEqual(input, {
+      ProductDependency: "SharesAccount",
+      CustomerType: "individual",
+      MonthlyIncome: 6200,
+    });
+    assert.ok(Age >= 36);
+  });
+
+  it("explains why an offer is not available", async () => {
+    await answer({ customerType: "company", monthlyIncome: 3000 });
+
+    const { body } = await browser.post("/api/offers/available");
+
+    const [basic, premium] = body.offers;
+    assert.equal(basic.eligible, true);
+    assert.equal(premium.eligible, false);
+    assert.deepEqual(premium.ineligibleReasons, [
+      "Available to individual customers only",
+      "Requires a monthly income of at least 5000 RON",
+    ]);
+  });
+
+  it("does not accept an offer the customer does not qualify for", async () => {
+    await answer({ customerType: "company", monthlyIncome: 3000 });
+    await browser.post("/api/offers/available");
+
+    const { status, body } = await browser.post("/api/journey/next", {
+      values: [{ attribute: "selectedOffer", value: "offer-premium" }],
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.code, "INVALID_OFFER_SELECTION");
+  });
+
+  it("keeps only the answers used as offer inputs", async () => {
+    await answer({ customerType: "individual", monthlyIncome: 6200 });
+
+    const sessionId = decodeURIComponent(
+      browser.cookies.get("journey_sid"),
+    ).split(".")[0];
+    const stored = JSON.parse(
+      fs.readFileSync(process.env.SESSION_FILE, "utf8"),
+    );
+    assert.deepEqual(stored[sessionId].data.answers, {
+      customerType: "individual",
+      birthDate: "1990-06-15",
+      monthlyIncome: 6200,
+    });
+  });
+});
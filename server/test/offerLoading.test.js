@@ -0,0 +1,163 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+const { withRetry, mapWithConcurrency } = require("../resilience");
+
+const detailsPath = "/pfapi/api/v1/product/offer/offer-premium/details";
+
+describe("mapWithConcurrency", () => {
+  it("keeps the order and never runs more than the limit", async () => {
+    let running = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency(
+      [30, 10, 20, 5, 15],
+      2,
+      async (delay, index) => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        running -= 1;
+        return index;
+      },
+    );
+
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+  });
+});
+
+describe("withRetry", () => {
+  it("stops retrying errors that are not retryable", async () => {
+    let attempts = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          attempts += 1;
+          throw new Error("bad input");
+        },
+        { retries: 3, baseDelayMs: 1 },
+      ),
+      /bad input/,
+    );
+    assert.equal(attempts, 1);
+  });
+});
+
+describe("resilient offer loading", () => {
+  let upstream;
+  let proxy;
+  let browser;
+
+  before(async () => {
+    Object.assign(process.env, {
+      OFFER_DETAILS_CONCURRENCY: "2",
+      OFFER_DETAILS_RETRIES: "2",
+      OFFER_DETAILS_RETRY_DELAY_MS: "5",
+      OFFER_DETAILS_TIMEOUT_MS: "100",
+    });
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => {
+    browser = proxy.client();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+  });
+
+  function detailCalls() {
+    return upstream.calls.filter((call) => call.path === detailsPath).length;
+  }
+
+  it("retries failed details calls with backoff", async () => {
+    let failures = 2;
+    upstream.override("GET", detailsPath, (_req, res, next) => {
+      if (failures > 0) {
+        failures -= 1;
+        return res.status(503).json({ message: "Try again" });
+      }
+      return next();
+    });
+
+    const { status, body } = await browser.post("/api/offers/available");
+
+    assert.equal(status, 200);
+    assert.equal(body.offers.length, 2);
+    assert.deepEqual(body.warnings, []);
+    assert.equal(detailCalls(), 3);
+  });
+
+  it("returns the offers that loaded and warns about the rest", async () => {
+    upstream.override("GET", detailsPath, (_req, res) =>
+      res.status(503).json({ message: "Details unavailable" }),
+    );
+
+    const { status, body } = await browser.post("/api/offers/available");
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.offers.map((offer) => offer.offerId),
+      ["offer-basic"],
+    );
+    assert.deepEqual(body.warnings, [
+      {
+        offerId: "offer-premium",
+        offerName: "Premium Account",
+        code: "UPSTREAM_ERROR",
+        message: "Details unavailable",
+      },
+    ]);
+    assert.equal(detailCalls(), 3);
+  });
+
+  it("does not retry details that do not exist", async () => {
+    upstream.override("GET", detailsPath, (_req, res) =>
+      res.status(404).json({ message: "Offer not found" }),
+    );
+
+    const { body } = await browser.post("/api/offers/available");
+
+    assert.equal(body.warnings[0].code, "NOT_FOUND");
+    assert.equal(detailCalls(), 1);
+  });
+
+  it("times out slow details calls", async () => {
+    upstream.override("GET", detailsPath, (_req, res, next) => {
+      setTimeout(next, 300);
+    });
+
+    const { body } = await browser.post("/api/offers/available");
+
+    assert.equal(body.offers.length, 1);
+    assert.equal(body.warnings[0].code, "UPSTREAM_TIMEOUT");
+  });
+
+  it("does not accept a selection of an offer that failed to load", async () => {
+    upstream.override("GET", detailsPath, (_req, res) =>
+      res.status(503).json({ message: "Details unavailable" }),
+    );
+    await browser.post("/api/journey/init");
+    await browser.post("/api/offers/available");
+
+    const { status } = await browser.post("/api/journey/next", {
+      values: [{ attribute: "selectedOffer", value: "offer-premium" }],
+    });
+
+    assert.equal(status, 422);
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+
+describe("offer selection", () => {
+  let upstream;
+  let proxy;
+  let browser;
+
+  const customerValues = [
+    { attribute: "firstName", value: "Ana" },
+    { attribute: "lastName", value: "Popescu" },
+  ];
+
+  function selection(offer) {
+    return { attribute: "selectedOffer", value: JSON.stringify(offer) };
+  }
+
+  function nextCall() {
+    return upstream.calls.find((call) =>
+      call.path.startsWith("/ftosapi/digitaljourney/next/"),
+    );
+  }
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  beforeEach(async () => {
+    browser = proxy.client();
+    await browser.post("/api/journey/init");
+    upstream.reset();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+  });
+
+  it("returns the journey attribute for the selection", async () => {
+    const { body } = await browser.post("/api/offers/available");
+
+    assert.equal(body.selectionAttribute, "selectedOffer");
+  });
+
+  it("sends an offer returned by /available to FintechOS", async () => {
+    await browser.post("/api/offers/available");
+
+    const { status } = await browser.post("/api/journey/next", {
+      values: [
+        ...customerValues,
+        selection({
+          offerId: "offer-premium",
+          offerCode: "TAMPERED",
+          cardId: "card-premium",
+        }),
+      ],
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(nextCall().body.values[2], {
+      attribute: "selectedOffer",
+      value: JSON.stringify({
+        offerId: "offer-premium",
+        offerCode: "PREMIUM",
+        cardId: "card-premium",
+      }),
+    });
+  });
+
+  it("accepts a bare offer id", async () => {
+    await browser.post("/api/offers/available");
+
+    const { status } = await browser.post("/api/journey/next", {
+      values: [
+        ...customerValues,
+        { attribute: "selectedOffer", value: "offer-basic" },
+      ],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(
+      JSON.parse(nextCall().body.values[2].value).offerCode,
+      "BASIC",
+    );
+  });
+
+  it("rejects offers that /available did not return", async () => {
+    await browser.post("/api/offers/available");
+
+    for (const offer of [
+      { offerId: "offer-gold" },
+      { offerId: "offer-basic", cardId: "card-premium" },
+    ]) {
+      const { status, body } = await browser.post("/api/journey/next", {
+        values: [...customerValues, selection(offer)],
+      });
+
+      assert.equal(status, 422);
+      assert.equal(body.code, "INVALID_OFFER_SELECTION");
+      assert.equal(
+        body.errorsByField.selectedOffer,
+        "Select one of the available offers",
+      );
+    }
+    assert.equal(nextCall(), undefined);
+  });
+
+  it("requires a selection on the offers step", async () => {
+    await browser.post("/api/journey/next", { values: customerValues });
+    await browser.post("/api/journey/next", { values: [] });
+    const { body: offersStep } = await browser.post("/api/journey/next", {
+      values: [],
+    });
+    assert.equal(offersStep.step.journeyStep, "Offers-1");
+    await browser.post("/api/offers/available");
+    upstream.reset();
+
+    const skipped = await browser.post("/api/journey/next", { values: [] });
+
+    assert.equal(skipped.status, 422);
+    assert.equal(skipped.body.code, "INVALID_OFFER_SELECTION");
+    assert.equal(nextCall(), undefined);
+
+    const { status } = await browser.post("/api/journey/next", {
+      values: [selection({ offerId: "offer-basic" })],
+    });
+    assert.equal(status, 200);
+  });
+
+  it("rejects a selection before offers were loaded", async () => {
+    const { status } = await browser.post("/api/journey/next", {
+      values: [...customerValues, selection({ offerId: "offer-basic" })],
+    });
+
+    assert.equal(status, 422);
+    assert.equal(nextCall(), undefined);
+  });
+});
@@ -0,0 +1,199 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+
+describe("POST /api/offers/available", () => {
+  let upstream;
+  let proxy;
+  let browser;
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => {
+    browser = proxy.client();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+  });
+
+  it("maps available offers and their details", async () => {
+    const { status, body } = await browser.post("/api/offers/available");
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.offers[0], {
+      offerId: "offer-basic",
+      offerName: "Basic Account",
+      offerCode: "BASIC",
+      eligible: true,
+      ineligibleReasons: [],
+      pricing: { amount: 0, currency: "RON", period: "monthly" },
+      fees: [
+        {
+          name: "Card replacement",
+          amount: 25,
+          currency: "RON",
+          period: null,
+        },
+        {
+          name: "ATM withdrawal at other banks",
+          amount: 2.5,
+          currency: "RON",
+          period: null,
+        },
+      ],
+      interestRates: [{ name: "Savings interest", rate: 0.5, type: "fixed" }],
+      validFrom: "2026-01-01",
+      validTo: "2026-12-31",
+      terms: [
+        {
+          name: "Terms and conditions",
+          url: "https://example.com/offers/basic/terms.pdf",
+        },
+      ],
+      cards: [
+        {
+          cardId: "card-basic",
+          cardTitle: "Basic Account",
+          description: "Everyday account with no monthly fee.",
+          benefits: ["No monthly fee", "Free debit card"],
+        },
+      ],
+    });
+    assert.equal(body.offers.length, 2);
+  });
+
+  it("sends configured defaults to /available", async () => {
+    await browser.post("/api/offers/available");
+
+    const availableCall = upstream.calls.find(
+      (call) => call.path === "/pfapi/api/v1/product/offer/available",
+    );
+    assert.deepEqual(availableCall.body, {
+      Input: { ProductDependency: "SharesAccount" },
+      Class: "Personal",
+      Product: "DAO6",
+      IncludeFailedAudienceOffers: false,
+    });
+  });
+
+  it("ignores product settings sent by the browser", async () => {
+    await browser.post("/api/offers/available", {
+      product: "LOAN1",
+      className: "Business",
+      productDependency: "CurrentAccount",
+    });
+
+    const availableCall = upstream.calls.find(
+      (call) => call.path === "/pfapi/api/v1/product/offer/available",
+    );
+    assert.equal(availableCall.body.Product, "DAO6");
+    assert.equal(availableCall.body.Class, "Personal");
+    assert.equal(availableCall.body.Input.ProductDependency, "SharesAccount");
+  });
+
+  it("falls back to the offer name for untitled cards", async () => {
+    upstream.override(
+      "GET",
+      "/pfapi/api/v1/product/offer/offer-basic/details",
+      (_req, res) =>
+        res.json({ offerCode: "BASIC", offerCards: [{ cardId: "c1" }] }),
+    );
+
+    const { body } = await browser.post("/api/offers/available");
+
+    assert.deepEqual(body.offers[0].cards, [
+      {
+        cardId: "c1",
+        cardTitle: "Basic Account",
+        description: "",
+        benefits: [],
+      },
+    ]);
+  });
+
+  it("only keeps http(s) links to terms documents", async () => {
+    upstream.override(
+      "GET",
+      "/pfapi/api/v1/product/offer/offer-basic/details",
+      (_req, res) =>
+        res.json({
+          offerCode: "BASIC",
+          offerDocuments: [
+            { documentName: "Terms", documentUrl: "https://example.com/t.pdf" },
+            { documentName: "Script", documentUrl: "javascript:alert(1)" },
+            { documentName: "Data", documentUrl: "data:text/html,hi" },
+            { documentName: "Relative", documentUrl: "/terms.pdf" },
+          ],
+        }),
+    );
+
+    const { body } = await browser.post("/api/offers/available");
+
+    assert.deepEqual(body.offers[0].terms, [
+      { name: "Terms", url: "https://example.com/t.pdf" },
+    ]);
+  });
+
+  it("tolerates alternative and missing detail fields", async () => {
+    upstream.override(
+      "GET",
+      "/pfapi/api/v1/product/offer/offer-basic/details",
+      (_req, res) =>
+        res.json({
+          offerCode: "BASIC",
+          price: "12.5",
+          fees: [{ name: "Statement", value: 3, currencyCode: "EUR" }],
+          interestRates: [{ name: "Overdraft", value: "not a rate" }],
+          startDate: "2026-02-01T00:00:00Z",
+          endDate: "soon",
+          documents: [{ name: "Leaflet" }],
+        }),
+    );
+
+    const { body } = await browser.post("/api/offers/available");
+
+    const [offer] = body.offers;
+    assert.deepEqual(offer.pricing, {
+      amount: 12.5,
+      currency: null,
+      period: null,
+    });
+    assert.deepEqual(offer.fees, [
+      { name: "Statement", amount: 3, currency: "EUR", period: null },
+    ]);
+    assert.deepEqual(offer.interestRates, []);
+    assert.equal(offer.validFrom, "2026-02-01");
+    assert.equal(offer.validTo, null);
+    assert.deepEqual(offer.terms, []);
+  });
+
+  it("returns 404 when offers are not configured", async () => {
+    const original = proxy.config.availableOffersEndpoint;
+    proxy.config.availableOffersEndpoint = "";
+    try {
+      const { status, body } = await browser.post("/api/offers/available");
+
+      assert.equal(status, 404);
+      assert.equal(body.code, "OFFERS_DISABLED");
+      assert.equal(upstream.calls.length, 0);
+    } finally {
+      proxy.config.availableOffersEndpoint = original;
+    }
+  });
+});
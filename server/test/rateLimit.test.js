@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startUpstream, startProxy } = require("./helpers");
+const { createRateLimiter } = require("../rateLimit");
+
+describe("createRateLimiter", () => {
+  it("allows max hits per window and reports the retry delay", () => {
+    let currentTime = 0;
+    const limiter = createRateLimiter({
+      windowMs: 10000,
+      max: 2,
+      now: () => currentTime,
+    });
+
+    assert.equal(limiter.hit("a").allowed, true);
+    assert.equal(limiter.hit("a").allowed, true);
+    currentTime = 4000;
+    const limited = limiter.hit("a");
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.retryAfterSeconds, 6);
+    assert.equal(limiter.hit("b").allowed, true);
+
+    currentTime = 10000;
+    assert.equal(limiter.hit("a").allowed, true);
+  });
+});
+
+describe("proxy rate limits", () => {
+  const outbox = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "rate-limit-test-")),
+    "outbox.jsonl",
+  );
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    Object.assign(process.env, {
+      RATE_LIMIT_INIT_PER_IP: "8",
+      MAX_JOURNEYS_PER_SESSION: "1",
+      JSON_BODY_LIMIT: "1kb",
+      NOTIFIER_TRANSPORT: "file",
+      NOTIFIER_FILE: outbox,
+    });
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  async function saveJourney() {
+    const laptop = proxy.client();
+    const { body: started } = await laptop.post("/api/journey/init");
+    await laptop.post("/api/journey/save", {
+      externalId: started.externalId,
+      email: "ana@example.com",
+    });
+    const { link } = JSON.parse(
+      fs.readFileSync(outbox, "utf8").trim().split("\n").pop(),
+    );
+    return link.split("/resume/")[1];
+  }
+
+  it("lets a session restart its journey past the cap", async () => {
+    const browser = proxy.client();
+
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      assert.equal((await browser.post("/api/journey/init")).status, 200);
+    }
+  });
+
+  it("lets a session resume a journey past the cap", async () => {
+    const token = await saveJourney();
+
+    const browser = proxy.client();
+    assert.equal((await browser.post("/api/journey/init")).status, 200);
+    const resumed = await browser.post("/api/journey/resume", { token });
+    assert.equal(resumed.status, 200);
+    assert.equal((await browser.post("/api/journey/init")).status, 200);
+  });
+
+  it("caps journeys per session and init calls per IP", async () => {
+    const token = await saveJourney();
+    const browser = proxy.client();
+    proxy.config.maxJourneysPerSession = 0;
+    try {
+      const tooManyJourneys = await browser.request("/api/journey/init", {
+        method: "POST",
+      });
+      assert.equal(tooManyJourneys.status, 429);
+      assert.equal((await tooManyJourneys.json()).code, "TOO_MANY_JOURNEYS");
+      assert.ok(tooManyJourneys.headers.get("retry-after"));
+
+      const resumed = await browser.post("/api/journey/resume", { token });
+      assert.equal(resumed.status, 429);
+      assert.equal(resumed.body.code, "TOO_MANY_JOURNEYS");
+    } finally {
+      proxy.config.maxJourneysPerSession = 1;
+    }
+
+    const limited = await proxy.client().request("/api/journey/init", {
+      method: "POST",
+    });
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).code, "RATE_LIMITED");
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  });
+
+  it("rejects JSON bodies over the size limit", async () => {
+    const { status, body } = await proxy.client().post("/api/journey/next", {
+      values: [{ attribute: "notes", value: "x".repeat(2048) }],
+    });
+
+    assert.equal(status, 413);
+    assert.equal(body.code, "PAYLOAD_TOO_LARGE");
+  });
+});
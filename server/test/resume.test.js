@@ -0,0 +1,199 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startUpstream, startProxy } = require("./helpers");
+const { createMemorySessionStore } = require("../sessions");
+const { createResumeLinks } = require("../resumeLinks");
+
+describe("createResumeLinks", () => {
+  function links() {
+    let currentTime = 1_700_000_000_000;
+    const now = () => currentTime;
+    return {
+      resumeLinks: createResumeLinks({
+        store: createMemorySessionStore({ now }),
+        secret: "secret",
+        ttlMs: 60000,
+        now,
+      }),
+      advance: (ms) => {
+        currentTime += ms;
+      },
+    };
+  }
+
+  it("loads what was saved until the link expires", async () => {
+    const { resumeLinks, advance } = links();
+    const { token, expiresAt } = await resumeLinks.issue({ externalId: "a" });
+
+    assert.equal(expiresAt, new Date(1_700_000_060_000).toISOString());
+    assert.deepEqual(await resumeLinks.load(token), { externalId: "a" });
+
+    advance(60000);
+    await assert.rejects(resumeLinks.load(token), {
+      status: 410,
+      code: "RESUME_LINK_EXPIRED",
+    });
+  });
+
+  it("rejects links signed with another secret", async () => {
+    const { resumeLinks } = links();
+    const other = createResumeLinks({
+      store: createMemorySessionStore(),
+      secret: "other",
+      ttlMs: 60000,
+    });
+    const { token } = await other.issue({ externalId: "a" });
+
+    await assert.rejects(resumeLinks.load(token), {
+      status: 400,
+      code: "INVALID_RESUME_LINK",
+    });
+  });
+});
+
+describe("save and continue later", () => {
+  const outbox = path.join(
+    fs.mkdtempSync(path.join(os.tmpdir(), "resume-test-")),
+    "outbox.jsonl",
+  );
+  let upstream;
+  let proxy;
+
+  const customerValues = [
+    { attribute: "firstName", value: "Ana" },
+    { attribute: "lastName", value: "Popescu" },
+  ];
+  const premium = { offerId: "offer-premium", cardId: "card-premium" };
+
+  function lastMessage() {
+    const lines = fs.readFileSync(outbox, "utf8").trim().split("\n");
+    return JSON.parse(lines[lines.length - 1]);
+  }
+
+  async function savedJourney(selectedOffer = premium) {
+    const laptop = proxy.client();
+    const { body: started } = await laptop.post("/api/journey/init");
+    await laptop.post("/api/offers/available");
+    const saved = await laptop.post("/api/journey/save", {
+      externalId: started.externalId,
+      email: "ana@example.com",
+      selectedOffer,
+    });
+    const token = lastMessage().link.split("/resume/")[1];
+    return { started, saved, token };
+  }
+
+  before(async () => {
+    upstream = await startUpstream();
+    Object.assign(process.env, {
+      NOTIFIER_TRANSPORT: "file",
+      NOTIFIER_FILE: outbox,
+      PUBLIC_BASE_URL: "https://apply.example.com",
+    });
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  it("sends a resume link through the notifier", async () => {
+    const { saved } = await savedJourney();
+
+    assert.equal(saved.status, 200);
+    const message = lastMessage();
+    assert.equal(message.type, "resume-link");
+    assert.equal(message.to, "ana@example.com");
+    assert.equal(message.journeyName, "Default journey");
+    assert.match(message.link, /^https:\/\/apply\.example\.com\/resume\/\S+$/);
+    assert.equal(message.expiresAt, saved.body.expiresAt);
+  });
+
+  it("restores the journey and its selected offer on another device", async () => {
+    const { started, token } = await savedJourney();
+
+    const phone = proxy.client();
+    const resumed = await phone.post("/api/journey/resume", { token });
+
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.body.externalId, started.externalId);
+    assert.equal(resumed.body.step.journeyStep, started.step.journeyStep);
+    assert.deepEqual(resumed.body.selectedOffer, {
+      ...premium,
+      offerCode: "PREMIUM",
+    });
+
+    const { status } = await phone.post("/api/journey/next", {
+      values: [
+        ...customerValues,
+        {
+          attribute: "selectedOffer",
+          value: JSON.stringify(resumed.body.selectedOffer),
+        },
+      ],
+    });
+    assert.equal(status, 200);
+  });
+
+  it("does not keep an offer that was not available", async () => {
+    const { token } = await savedJourney({ offerId: "offer-made-up" });
+
+    const { body } = await proxy
+      .client()
+      .post("/api/journey/resume", { token });
+
+    assert.equal(body.selectedOffer, null);
+  });
+
+  it("accepts each link once", async () => {
+    const { token } = await savedJourney();
+    await proxy.client().post("/api/journey/resume", { token });
+
+    const { status, body } = await proxy
+      .client()
+      .post("/api/journey/resume", { token });
+
+    assert.equal(status, 410);
+    assert.equal(body.code, "RESUME_LINK_EXPIRED");
+  });
+
+  it("rejects a tampered link", async () => {
+    const { token } = await savedJourney();
+    const [id, expires] = token.split(".");
+
+    const { status, body } = await proxy
+      .client()
+      .post("/api/journey/resume", { token: `${id}.${expires}.forged` });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_RESUME_LINK");
+  });
+
+  it("needs a valid email address", async () => {
+    const browser = proxy.client();
+    await browser.post("/api/journey/init");
+
+    const { status, body } = await browser.post("/api/journey/save", {
+      email: "not-an-email",
+    });
+
+    assert.equal(status, 422);
+    assert.equal(body.code, "INVALID_EMAIL");
+    assert.deepEqual(body.fieldErrors, [
+      { field: "email", message: "Enter a valid email address" },
+    ]);
+  });
+
+  it("needs a journey session", async () => {
+    const { status, body } = await proxy
+      .client()
+      .post("/api/journey/save", { email: "ana@example.com" });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, "SESSION_REQUIRED");
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createFileSessionStore,
+  createMemorySessionStore,
+} = require("../sessions");
+
+describe("session stores", () => {
+  it("expires memory sessions after their ttl", async () => {
+    let currentTime = 1000;
+    const store = createMemorySessionStore({ now: () => currentTime });
+
+    await store.set("a", { externalId: "j-1" }, 500);
+    assert.deepEqual(await store.get("a"), { externalId: "j-1" });
+
+    currentTime = 1500;
+    assert.equal(await store.get("a"), null);
+  });
+
+  it("prunes expired memory sessions that are never read again", async (t) => {
+    t.mock.timers.enable({ apis: ["setInterval"] });
+    let currentTime = 1000;
+    const store = createMemorySessionStore({
+      now: () => currentTime,
+      pruneIntervalMs: 1000,
+    });
+
+    await store.set("a", { externalId: "j-1" }, 500);
+    await store.set("b", { externalId: "j-2" }, 5000);
+    currentTime = 2000;
+    t.mock.timers.tick(1000);
+
+    assert.equal(store.size, 1);
+    assert.deepEqual(await store.get("b"), { externalId: "j-2" });
+  });
+
+  it("extends a memory session on touch but does not revive it", async () => {
+    let currentTime = 1000;
+    const store = createMemorySessionStore({ now: () => currentTime });
+    await store.set("a", { externalId: "j-1" }, 500);
+
+    currentTime = 1400;
+    await store.touch("a", 500);
+    currentTime = 1800;
+    assert.deepEqual(await store.get("a"), { externalId: "j-1" });
+
+    currentTime = 2000;
+    await store.touch("a", 500);
+    assert.equal(await store.get("a"), null);
+  });
+
+  it("persists file sessions across store instances", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+    const filePath = path.join(dir, "sessions.json");
+    try {
+      const store = createFileSessionStore({ filePath });
+      await store.set("a", { externalId: "j-1" }, 60000);
+      await store.set("b", { externalId: "j-2" }, 60000);
+      await store.destroy("b");
+
+      const reopened = createFileSessionStore({ filePath });
+      assert.deepEqual(await reopened.get("a"), { externalId: "j-1" });
+      assert.equal(await reopened.get("b"), null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
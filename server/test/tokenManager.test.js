@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startUpstream, startProxy } = require("./helpers");
+const { createTokenManager, withAuthRetry } = require("../tokenManager");
+
+const credentials = { clientId: "a", clientSecret: "b" };
+
+function unauthorized() {
+  const error = new Error("Request failed with status code 401");
+  error.response = { status: 401 };
+  return error;
+}
+
+describe("createTokenManager", () => {
+  let currentTime;
+  let fetches;
+
+  function manager(options = {}) {
+    currentTime = 0;
+    fetches = 0;
+    return createTokenManager({
+      fetchToken: async () => {
+        fetches += 1;
+        return `token-${fetches}`;
+      },
+      decodeJwtPayload: () => null,
+      fallbackTtlMs: 10000,
+      refreshMarginMs: 2000,
+      now: () => currentTime,
+      ...options,
+    });
+  }
+
+  it("reuses a token and refreshes it ahead inside the margin", async () => {
+    const tokens = manager();
+
+    assert.equal(await tokens.getToken(credentials), "token-1");
+    currentTime = 7999;
+    assert.equal(await tokens.getToken(credentials), "token-1");
+    assert.equal(fetches, 1);
+
+    currentTime = 8000;
+    assert.equal(await tokens.getToken(credentials), "token-1");
+    await new Promise(setImmediate);
+    assert.equal(fetches, 2);
+    assert.equal(await tokens.getToken(credentials), "token-2");
+  });
+
+  it("fetches a new token once the current one expired", async () => {
+    const tokens = manager();
+
+    await tokens.getToken(credentials);
+    currentTime = 10000;
+
+    assert.equal(await tokens.getToken(credentials), "token-2");
+  });
+
+  it("shares one fetch between concurrent callers", async () => {
+    let release;
+    const tokens = manager({
+      fetchToken: () => {
+        fetches += 1;
+        return new Promise((resolve) => {
+          release = () => resolve("shared");
+        });
+      },
+    });
+
+    const pending = Promise.all([
+      tokens.getToken(credentials),
+      tokens.getToken(credentials),
+      tokens.getToken(credentials),
+    ]);
+    await new Promise(setImmediate);
+    release();
+
+    assert.deepEqual(await pending, ["shared", "shared", "shared"]);
+    assert.equal(fetches, 1);
+  });
+});
+
+describe("withAuthRetry", () => {
+  function tokenSource() {
+    let fetches = 0;
+    const tokens = createTokenManager({
+      fetchToken: async () => {
+        fetches += 1;
+        return `token-${fetches}`;
+      },
+      decodeJwtPayload: () => null,
+    });
+    return tokens.source(credentials);
+  }
+
+  it("drops a rejected token and retries once with a new one", async () => {
+    const sent = [];
+
+    const result = await withAuthRetry(tokenSource(), async (token) => {
+      sent.push(token);
+      if (sent.length === 1) {
+        throw unauthorized();
+      }
+      return "ok";
+    });
+
+    assert.equal(result, "ok");
+    assert.deepEqual(sent, ["token-1", "token-2"]);
+  });
+
+  it("does not retry a second time", async () => {
+    const sent = [];
+
+    await assert.rejects(
+      withAuthRetry(tokenSource(), async (token) => {
+        sent.push(token);
+        throw unauthorized();
+      }),
+      { response: { status: 401 } },
+    );
+
+    assert.deepEqual(sent, ["token-1", "token-2"]);
+  });
+});
+
+describe("FintechOS rejecting a token", () => {
+  const tokenPath = "/pfapi/Authentication/token";
+  const loadStepPath = "/ftosapi/digitaljourney/loadStep";
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  it("fetches a new token and repeats the call once", async () => {
+    let rejected = false;
+    upstream.override("GET", loadStepPath, (_req, res, next) => {
+      if (rejected) {
+        return next();
+      }
+      rejected = true;
+      return res.status(401).json({ message: "Unauthorized" });
+    });
+
+    const { status } = await proxy.client().post("/api/journey/init");
+
+    assert.equal(status, 200);
+    assert.equal(
+      upstream.calls.filter((call) => call.path === tokenPath).length,
+      2,
+    );
+    assert.equal(
+      upstream.calls.filter((call) => call.path.startsWith(loadStepPath))
+        .length,
+      2,
+    );
+  });
+});
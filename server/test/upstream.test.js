@@ -0,0 +1,392 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { startUpstream, startProxy } = require("./helpers");
+const { createAuthProvider } = require("../auth");
+const {
+  CircuitOpenError,
+  createCircuitBreaker,
+  isRetryableError,
+  withRetry,
+} = require("../resilience");
+const { createUpstreamClient, parseTimeouts } = require("../upstream");
+
+function upstreamError(status, code) {
+  return {
+    isAxiosError: true,
+    code,
+    response: status ? { status } : undefined,
+  };
+}
+
+describe("isRetryableError", () => {
+  it("retries idempotent calls on timeouts, network errors and 5xx", () => {
+    assert.equal(isRetryableError(upstreamError(502)), true);
+    assert.equal(isRetryableError(upstreamError(null, "ECONNABORTED")), true);
+    assert.equal(isRetryableError(upstreamError(404)), false);
+    assert.equal(isRetryableError(upstreamError(null, "ERR_CANCELED")), false);
+  });
+
+  it("only retries non-idempotent calls the upstream did not process", () => {
+    const options = { idempotent: false };
+    assert.equal(isRetryableError(upstreamError(503), options), true);
+    assert.equal(isRetryableError(upstreamError(429), options), true);
+    assert.equal(
+      isRetryableError(upstreamError(null, "ECONNREFUSED"), options),
+      true,
+    );
+    assert.equal(isRetryableError(upstreamError(500), options), false);
+    assert.equal(
+      isRetryableError(upstreamError(null, "ECONNABORTED"), options),
+      false,
+    );
+  });
+});
+
+describe("withRetry", () => {
+  it("adds jitter to the exponential backoff", async () => {
+    const delays = [];
+    await assert.rejects(
+      withRetry(
+        async () => {
+          throw upstreamError(503);
+        },
+        {
+          retries: 3,
+          baseDelayMs: 4,
+          jitter: true,
+          random: () => 0,
+          onRetry: ({ delayMs }) => delays.push(delayMs),
+        },
+      ),
+    );
+    assert.deepEqual(delays, [2, 4, 8]);
+  });
+});
+
+describe("createCircuitBreaker", () => {
+  let currentTime;
+  let breaker;
+
+  beforeEach(() => {
+    currentTime = 0;
+    breaker = createCircuitBreaker({
+      failureThreshold: 2,
+      resetMs: 1000,
+      now: () => currentTime,
+    });
+  });
+
+  const fail = () =>
+    breaker.run(async () => {
+      throw upstreamError(500);
+    });
+
+  it("opens after consecutive failures and fails fast", async () => {
+    await assert.rejects(fail());
+    await assert.rejects(fail());
+    assert.equal(breaker.state(), "open");
+
+    let called = false;
+    currentTime = 400;
+    await assert.rejects(
+      breaker.run(async () => {
+        called = true;
+      }),
+      (error) =>
+        error instanceof CircuitOpenError && error.retryAfterMs === 600,
+    );
+    assert.equal(called, false);
+  });
+
+  it("does not count client errors as failures", async () => {
+    await assert.rejects(fail());
+    await assert.rejects(
+      breaker.run(async () => {
+        throw upstreamError(404);
+      }),
+    );
+    await assert.rejects(fail());
+    assert.equal(breaker.state(), "closed");
+  });
+
+  it("lets one probe through after the reset delay", async () => {
+    await assert.rejects(fail());
+    await assert.rejects(fail());
+    currentTime = 1000;
+    assert.equal(breaker.state(), "half-open");
+
+    await assert.rejects(fail());
+    assert.equal(breaker.state(), "open");
+
+    currentTime = 2000;
+    assert.equal(await breaker.run(async () => "ok"), "ok");
+    assert.equal(breaker.state(), "closed");
+  });
+});
+
+describe("token requests and the circuit breaker", () => {
+  let server;
+  let baseUrl;
+  let status;
+
+  before(async () => {
+    const app = express();
+    app.post("/token", (_req, res) =>
+      status.token === 200
+        ? res.json({ accessToken: "token" })
+        : res.status(status.token).json({ message: "Down" }),
+    );
+    app.get("/data", (_req, res) =>
+      res.status(status.data).json({ ok: status.data === 200 }),
+    );
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  // Opens the circuit with a failing call, then waits until it is half-open.
+  async function halfOpenClient() {
+    const client = createUpstreamClient({
+      name: "Test",
+      retries: 0,
+      failureThreshold: 1,
+      resetMs: 20,
+    });
+    const auth = createAuthProvider({
+      name: "Test",
+      mode: "client_credentials",
+      settings: {
+        tokenUrl: `${baseUrl}/token`,
+        clientId: "a",
+        clientSecret: "b",
+      },
+      client,
+      refreshMarginMs: 0,
+    });
+    status = { token: 200, data: 500 };
+    await assert.rejects(
+      client.request({ method: "GET", url: `${baseUrl}/data`, auth }),
+    );
+    auth.clear();
+    assert.equal(client.breaker.state(), "open");
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    assert.equal(client.breaker.state(), "half-open");
+    return { client, auth };
+  }
+
+  it("reopens when the token request made during half-open fails", async () => {
+    const { client, auth } = await halfOpenClient();
+    status = { token: 500, data: 200 };
+
+    await assert.rejects(
+      client.request({ method: "GET", url: `${baseUrl}/data`, auth }),
+    );
+
+    assert.equal(client.breaker.state(), "open");
+  });
+
+  it("closes once the token request and the call succeed", async () => {
+    const { client, auth } = await halfOpenClient();
+    status = { token: 200, data: 200 };
+
+    const data = await client.request({
+      method: "GET",
+      url: `${baseUrl}/data`,
+      auth,
+    });
+
+    assert.deepEqual(data, { ok: true });
+    assert.equal(client.breaker.state(), "closed");
+  });
+
+  it("counts a failed token request once", async () => {
+    const client = createUpstreamClient({
+      name: "Test",
+      retries: 0,
+      failureThreshold: 2,
+    });
+    const auth = createAuthProvider({
+      name: "Test",
+      mode: "client_credentials",
+      settings: {
+        tokenUrl: `${baseUrl}/token`,
+        clientId: "a",
+        clientSecret: "b",
+      },
+      client,
+      refreshMarginMs: 0,
+    });
+    status = { token: 500, data: 200 };
+
+    await assert.rejects(
+      client.request({ method: "GET", url: `${baseUrl}/data`, auth }),
+    );
+
+    assert.deepEqual(client.breaker.stats(), { state: "closed", failures: 1 });
+  });
+});
+
+describe("parseTimeouts", () => {
+  it("parses per-endpoint timeouts", () => {
+    assert.deepEqual(parseTimeouts("loadStep=5000, next = 20000"), {
+      loadStep: 5000,
+      next: 20000,
+    });
+    assert.deepEqual(parseTimeouts(undefined), {});
+    assert.throws(() => parseTimeouts("next=soon"), /Invalid upstream timeout/);
+  });
+});
+
+describe("shared upstream client", () => {
+  const loadStepPath = "/ftosapi/digitaljourney/loadStep";
+  const nextPath = "/ftosapi/digitaljourney/next";
+  let upstream;
+  let proxy;
+  let browser;
+
+  before(async () => {
+    Object.assign(process.env, {
+      UPSTREAM_RETRIES: "1",
+      UPSTREAM_RETRY_DELAY_MS: "5",
+      UPSTREAM_TIMEOUTS: "loadStep=100",
+      CIRCUIT_BREAKER_THRESHOLD: "3",
+      CIRCUIT_BREAKER_RESET_SECONDS: "1",
+    });
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream);
+  });
+
+  after(async () => {
+    await proxy.close();
+    await upstream.close();
+  });
+
+  beforeEach(() => {
+    browser = proxy.client();
+  });
+
+  afterEach(() => {
+    upstream.reset();
+  });
+
+  function callsTo(path) {
+    return upstream.calls.filter((call) => call.path.startsWith(path)).length;
+  }
+
+  async function init() {
+    const { status, body } = await browser.post("/api/journey/init");
+    assert.equal(status, 200);
+    upstream.reset();
+    return body;
+  }
+
+  it("retries idempotent calls that fail with 5xx", async () => {
+    const { externalId } = await init();
+    let failures = 1;
+    upstream.override("GET", loadStepPath, (_req, res, next) => {
+      if (failures > 0) {
+        failures -= 1;
+        return res.status(502).json({ message: "Bad gateway" });
+      }
+      return next();
+    });
+
+    const { status } = await browser.post("/api/journey/load-step", {
+      externalId,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(callsTo(loadStepPath), 2);
+  });
+
+  it("does not retry a next call the upstream may have processed", async () => {
+    const { externalId } = await init();
+    upstream.override("POST", nextPath, (_req, res) =>
+      res.status(500).json({ message: "Boom" }),
+    );
+
+    const { status } = await browser.post("/api/journey/next", { externalId });
+
+    assert.equal(status, 502);
+    assert.equal(callsTo(nextPath), 1);
+  });
+
+  it("retries a next call the upstream rejected with 503", async () => {
+    const { externalId } = await init();
+    let failures = 1;
+    upstream.override("POST", nextPath, (_req, res, next) => {
+      if (failures > 0) {
+        failures -= 1;
+        return res.status(503).json({ message: "Busy" });
+      }
+      return next();
+    });
+
+    const { status } = await browser.post("/api/journey/next", {
+      externalId,
+      values: [
+        { attribute: "firstName", value: "Ana" },
+        { attribute: "lastName", value: "Popescu" },
+      ],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(callsTo(nextPath), 2);
+  });
+
+  it("applies per-endpoint timeouts", async () => {
+    const { externalId } = await init();
+    upstream.override("GET", loadStepPath, (_req, res, next) => {
+      setTimeout(next, 300);
+    });
+
+    const { status, body } = await browser.post("/api/journey/load-step", {
+      externalId,
+    });
+
+    assert.equal(status, 504);
+    assert.equal(body.code, "UPSTREAM_TIMEOUT");
+  });
+
+  it("opens the circuit and fails fast until FintechOS recovers", async () => {
+    const { externalId } = await init();
+    upstream.override("GET", loadStepPath, (_req, res) =>
+      res.status(500).json({ message: "Down" }),
+    );
+
+    await browser.post("/api/journey/load-step", { externalId });
+    await browser.post("/api/journey/load-step", { externalId });
+    const callsBefore = callsTo(loadStepPath);
+
+    const response = await browser.request("/api/journey/load-step", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ externalId }),
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 503);
+    assert.equal(body.code, "UPSTREAM_UNAVAILABLE");
+    assert.match(body.message, /FintechOS is unavailable/);
+    assert.ok(Number(response.headers.get("retry-after")) >= 1);
+    assert.equal(callsTo(loadStepPath), callsBefore);
+
+    upstream.reset();
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    const recovered = await browser.post("/api/journey/load-step", {
+      externalId,
+    });
+    assert.equal(recovered.status, 200);
+  });
+});
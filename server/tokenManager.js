@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+
+function credentialKey(credentials) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(credentials))
+    .digest("hex");
+}
+
+function createTokenManager({
+  fetchToken,
+  decodeJwtPayload,
+  refreshMarginMs = 60000,
+  fallbackTtlMs = 300000,
+  now = Date.now,
+  onRefresh = () => {},
+}) {
+  const entries = new Map();
+
+  function expiresAtOf(token) {
+    const exp = decodeJwtPayload(token)?.exp;
+    return typeof exp === "number" ? exp * 1000 : now() + fallbackTtlMs;
+  }
+
+  function refresh(key, credentials) {
+    const entry = entries.get(key) || {};
+    if (entry.pending) {
+      return entry.pending;
+    }
+
+    const pending = Promise.resolve()
+      .then(() => fetchToken(credentials))
+      .then(
+        (token) => {
+          entries.set(key, { token, expiresAt: expiresAtOf(token) });
+          onRefresh({ key, ok: true });
+          return token;
+        },
+        (error) => {
+          const current = entries.get(key);
+          if (current?.pending === pending) {
+            const { pending: _pending, ...rest } = current;
+            if (rest.token && rest.expiresAt > now()) {
+              entries.set(key, rest);
+            } else {
+              entries.delete(key);
+            }
+          }
+          onRefresh({ key, ok: false });
+          throw error;
+        },
+      );
+
+    entries.set(key, { ...entry, pending });
+    return pending;
+  }
+
+  async function getToken(credentials) {
+    const key = credentialKey(credentials);
+    const entry = entries.get(key);
+    const currentTime = now();
+
+    if (!entry?.token || entry.expiresAt <= currentTime) {
+      return refresh(key, credentials);
+    }
+
+    if (entry.expiresAt - refreshMarginMs <= currentTime) {
+      // Still valid: hand it out and refresh in the background.
+      refresh(key, credentials).catch(() => {});
+    }
+
+    return entry.token;
+  }
+
+  function invalidate(credentials, token) {
+    const key = credentialKey(credentials);
+    const entry = entries.get(key);
+    if (!entry || (token && entry.token !== token)) {
+      return;
+    }
+
+    if (entry.pending) {
+      entries.set(key, { pending: entry.pending });
+    } else {
+      entries.delete(key);
+    }
+  }
+
+  function source(credentials) {
+    return {
+      getToken: () => getToken(credentials),
+      invalidate: (token) => invalidate(credentials, token),
+    };
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  return { getToken, invalidate, source, clear };
+}
+
+// A body that can only be sent once (a streamed upload) still drops the
+// rejected token, but the 401 goes back to the caller.
+async function withAuthRetry(auth, send, { replay = true } = {}) {
+  const token = await auth.getToken();
+  try {
+    return await send(token);
+  } catch (error) {
+    if (error.response?.status !== 401 || !auth.invalidate) {
+      throw error;
+    }
+
+    auth.invalidate(token);
+    if (!replay) {
+      throw error;
+    }
+    return send(await auth.getToken());
+  }
+}
+
+function staticTokenSource(token) {
+  return { getToken: async () => token };
+}
+
+module.exports = {
+  createTokenManager,
+  withAuthRetry,
+  staticTokenSource,
+};
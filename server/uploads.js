@@ -0,0 +1,94 @@
+const { AsyncResource } = require("async_hooks");
+const Busboy = require("busboy");
+const { ApiError } = require("./errors");
+
+function receiveUpload(req, { maxBytes, allowedTypes, onFile }) {
+  // Busboy emits outside the caller's async context; keep onFile inside it.
+  const handleFile = AsyncResource.bind(onFile);
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        limits: { files: 1, fileSize: maxBytes },
+      });
+    } catch (_error) {
+      reject(new ApiError(400, "Expected a multipart/form-data request"));
+      return;
+    }
+
+    const controller = new AbortController();
+    const fields = {};
+    let fileStream = null;
+    let upload = null;
+    let settled = false;
+
+    function fail(error) {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      controller.abort();
+      fileStream?.resume();
+      req.unpipe(busboy);
+      req.resume();
+      reject(error);
+    }
+
+    busboy.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    busboy.on("file", (name, stream, info) => {
+      if (name !== "file" || upload) {
+        stream.resume();
+        return;
+      }
+
+      fileStream = stream;
+      if (allowedTypes.length > 0 && !allowedTypes.includes(info.mimeType)) {
+        fail(
+          new ApiError(415, `File type ${info.mimeType} is not allowed`, {
+            code: "UNSUPPORTED_MEDIA_TYPE",
+          }),
+        );
+        return;
+      }
+
+      stream.on("limit", () =>
+        fail(
+          new ApiError(413, `File is larger than ${maxBytes} bytes`, {
+            code: "PAYLOAD_TOO_LARGE",
+          }),
+        ),
+      );
+
+      upload = Promise.resolve().then(() =>
+        handleFile({ fields, stream, info, signal: controller.signal }),
+      );
+      upload.catch(fail);
+    });
+
+    busboy.on("error", (error) => fail(new ApiError(400, error.message)));
+
+    busboy.on("close", () => {
+      if (!upload) {
+        fail(new ApiError(400, "file is required"));
+        return;
+      }
+
+      upload.then((result) => {
+        if (!settled) {
+          settled = true;
+          resolve(result);
+        }
+      }, fail);
+    });
+
+    req.pipe(busboy);
+  });
+}
+
+module.exports = {
+  receiveUpload,
+};
@@ -0,0 +1,185 @@
+const http = require("http");
+const https = require("https");
+const axios = require("axios");
+const { ApiError } = require("./errors");
+const { createLogger, currentContext } = require("./logger");
+const { withAuthRetry } = require("./tokenManager");
+const {
+  CircuitOpenError,
+  createCircuitBreaker,
+  isRetryableError,
+  withRetry,
+} = require("./resilience");
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+function parseTimeouts(value) {
+  const timeouts = {};
+  for (const entry of (value || "").split(",")) {
+    const [name, ms] = entry.split("=").map((part) => part.trim());
+    if (!name) {
+      continue;
+    }
+    if (!/^\d+$/.test(ms || "")) {
+      throw new Error(`Invalid upstream timeout "${entry.trim()}"`);
+    }
+    timeouts[name] = Number(ms);
+  }
+  return timeouts;
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(
+    (key) => key.toLowerCase() === name.toLowerCase(),
+  );
+}
+
+function createUpstreamClient({
+  name,
+  accept = "application/json",
+  timeoutMs = 10000,
+  timeouts = {},
+  retries = 2,
+  retryDelayMs = 200,
+  failureThreshold = 5,
+  resetMs = 30000,
+  describeResponse = () => ({}),
+  onComplete = () => {},
+  logger = createLogger({ level: "silent" }),
+  now = () => performance.now(),
+}) {
+  const instance = axios.create({
+    httpAgent: new http.Agent({ keepAlive: true }),
+    httpsAgent: new https.Agent({ keepAlive: true }),
+  });
+  const breaker = createCircuitBreaker({
+    failureThreshold,
+    resetMs,
+    onStateChange: ({ from, to }) =>
+      logger.warn(`${name} circuit breaker`, { from, to }),
+  });
+
+  function send(
+    { method, url, data, headers, timeout, signal, extra, requestId },
+    token,
+  ) {
+    return instance({
+      ...extra,
+      method,
+      url,
+      data,
+      timeout,
+      signal,
+      headers: {
+        accept,
+        ...(data && !hasHeader(headers, "content-type")
+          ? { "Content-Type": "application/json" }
+          : {}),
+        ...(requestId ? { "X-Request-Id": requestId } : {}),
+        ...headers,
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+  }
+
+  async function request({
+    method,
+    url,
+    endpoint,
+    auth,
+    data,
+    headers = {},
+    signal,
+    idempotent = IDEMPOTENT_METHODS.has(method),
+    replayable = true,
+    retries: requestRetries = retries,
+    retryDelayMs: requestRetryDelayMs = retryDelayMs,
+    shouldRetry = (error) => isRetryableError(error, { idempotent }),
+    ...extra
+  }) {
+    const options = {
+      method,
+      url,
+      data,
+      headers,
+      signal,
+      extra,
+      timeout: timeouts[endpoint] ?? timeoutMs,
+      requestId: currentContext().requestId,
+    };
+    logger.debug(`${name} request`, { method, url, data: data || null });
+    const startedAt = now();
+    const complete = (status) => {
+      const durationMs = now() - startedAt;
+      onComplete({ endpoint, method, status: String(status), durationMs });
+      return Math.round(durationMs);
+    };
+
+    try {
+      // The token is fetched outside this call's breaker run: the token
+      // request is an upstream call of its own and goes through the breaker
+      // separately.
+      const response = await withRetry(
+        () =>
+          auth
+            ? withAuthRetry(
+                auth,
+                (token) => breaker.run(() => send(options, token)),
+                { replay: replayable },
+              )
+            : breaker.run(() => send(options)),
+        {
+          retries: requestRetries,
+          baseDelayMs: requestRetryDelayMs,
+          jitter: true,
+          shouldRetry,
+          onRetry: ({ attempt, delayMs, error }) =>
+            logger.warn(`${name} retry`, {
+              method,
+              url,
+              attempt,
+              delayMs,
+              status: error.response?.status,
+              code: error.code,
+            }),
+        },
+      );
+
+      logger.info(`${name} response`, {
+        method,
+        url,
+        status: response.status,
+        durationMs: complete(response.status),
+        ...describeResponse(response.data),
+      });
+      return response.data;
+    } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        complete("circuit_open");
+        logger.warn(`${name} unavailable`, { method, url });
+        throw new ApiError(503, `${name} is unavailable, try again later`, {
+          code: "UPSTREAM_UNAVAILABLE",
+          expose: true,
+          retryAfterSeconds: Math.max(1, Math.ceil(error.retryAfterMs / 1000)),
+        });
+      }
+
+      logger.warn(`${name} error`, {
+        method,
+        url,
+        status: error.response?.status,
+        durationMs: complete(error.response?.status || error.code || "error"),
+        code: error.code,
+        response: error.response?.data || null,
+      });
+      throw error;
+    }
+  }
+
+  return { name, request, breaker };
+}
+
+module.exports = {
+  parseTimeouts,
+  createUpstreamClient,
+};